@@ -0,0 +1,167 @@
+// Local mock server for trying out live updates:
+//
+//   node mock-server.js [port]
+//
+// Serves this folder, plus data.json with counts that drift every few seconds
+// (and a leaf that comes and goes) through three transports:
+//
+//   GET /api/data     the current tree, for polling
+//   GET /api/stream   Server-Sent Events, one message per change
+//   ws://…/api/socket WebSocket, one message per change
+//
+// No dependencies, only Node's standard library.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2]) || 8000;
+const root = __dirname;
+const tickInterval = 3000;
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8'
+};
+
+const baseTree = JSON.parse(fs.readFileSync(path.join(root, 'data.json'), 'utf8'));
+let tick = 0;
+let current = baseTree;
+
+// Every leaf drifts by up to ±15%; every other tick a "Live Scholarship" leaf appears under the first category
+function nextTree() {
+    tick++;
+    const tree = JSON.parse(JSON.stringify(baseTree));
+    (function drift(node) {
+        if (node.children) {
+            node.children.forEach(drift);
+            delete node.value; // Let the chart sum the children
+        } else if (typeof node.value === 'number') {
+            node.value = Math.max(0, Math.round(node.value * (0.85 + Math.random() * 0.3)));
+        }
+    })(tree);
+    if (tick % 2 === 0 && tree.children && tree.children[0]) {
+        tree.children[0].children = tree.children[0].children || [];
+        tree.children[0].children.push({ name: 'Live Scholarship', value: 5 + Math.round(Math.random() * 20), type: 'leaf' });
+    }
+    return tree;
+}
+
+const sseClients = new Set();
+const socketClients = new Set();
+
+setInterval(() => {
+    current = nextTree();
+    const message = JSON.stringify(current);
+    sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+    socketClients.forEach(socket => socket.write(websocketFrame(message)));
+}, tickInterval);
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/data') {
+        res.writeHead(200, { 'Content-Type': mimeTypes['.json'], 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(current));
+        return;
+    }
+
+    if (url.pathname === '/api/stream') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+        res.write(`data: ${JSON.stringify(current)}\n\n`);
+        sseClients.add(res);
+        req.on('close', () => sseClients.delete(res));
+        return;
+    }
+
+    serveFile(url.pathname, res);
+});
+
+// Static files from this folder, nothing above it
+function serveFile(pathname, res) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        // Malformed percent-encoding such as /%E0%A4%A
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    const file = path.normalize(path.join(root, decoded));
+    if (!file.startsWith(root + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': mimeTypes[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// Minimal WebSocket support: the handshake and unmasked text frames to the client.
+// Anything the client sends is ignored; a close frame (opcode 8) ends the connection
+server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/api/socket') {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1')
+        .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    socketClients.add(socket);
+    socket.write(websocketFrame(JSON.stringify(current)));
+    socket.on('data', data => {
+        if ((data[0] & 0x0f) === 8) socket.end();
+    });
+    socket.on('close', () => socketClients.delete(socket));
+    socket.on('error', () => socketClients.delete(socket));
+});
+
+function websocketFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+server.listen(port, () => {
+    console.log(`Mock server on http://localhost:${port}`);
+    console.log(`  polling:   chart.connect('/api/data', { interval: 3000 })`);
+    console.log(`  SSE:       chart.connect('/api/stream', { transport: 'sse' })`);
+    console.log(`  WebSocket: chart.connect('ws://localhost:${port}/api/socket')`);
+});
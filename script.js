@@ -2,933 +2,5927 @@
 (function () {
     'use strict';
 
-    // Configuration
-    const config = {
-        width: window.innerWidth,
-        height: window.innerHeight,
+    // Default configuration (copied and merged with options per instance)
+    const defaults = {
+        width: null,  // Defaults to the container size
+        height: null,
         nodeSize: d => [80, 50, 30, 24][Math.min(d.depth, 3)], // Size by depth (reduced)
         distance: d => [0, 220, 140, 100][Math.min(d.depth + 1, 3)], // Distance by depth (reduced)
+        layout: 'radial',  // 'radial' (deterministic sectors) or 'force' (simulation)
+        layoutWeight: 'leaves',  // Radial sector size: 'leaves' (leaf count) or 'value'
+        view: 'network',  // Initial view: 'network', 'sunburst', 'tree', 'treemap' or 'icicle'
         bubbleRadius: 13,
-        colors: {
-            gradients: ['#ff6b9d', '#a29bfe', '#ff9ff3', '#ffc8dd'], // Root, Category, Subcategory, Leaf
-            bubble: '#74b9ff',
-            links: ['#dda0ff', '#c7a0ff']
+        sizeBy: 'depth',  // Node radius: 'depth' (nodeSize) or 'value' (area proportional to value, up to nodeSize)
+        sizeScale: 'level',  // With sizeBy 'value': one sqrt scale per 'level', or one 'global' scale
+        colorBy: 'depth',  // Fill: 'depth' (gradients) or 'value' (leaves coloured by their value)
+        colorScale: 'sequential',  // With colorBy 'value': 'sequential', or 'diverging' around the median leaf
+        bubbleLabel: 'count',  // Count bubble text: 'count', 'parent' (share of parent), 'total' (share of total) or 'delta' (change since the previous period)
+        periodDuration: 1500,  // Time series: ms per period while playing
+        showShares: true,  // Default tooltip: show the share of parent and of total
+        tooltipContent: null,  // Tooltip template string ('{name}: {value}') or function(info), see tooltipInfo()
+        scaleExtent: null,  // Zoom limits [min, max]; null adapts them to the data, see updateScaleExtent()
+        minimapSize: [180, 120],  // Width and height of the minimap in pixels
+        renderer: 'auto',  // 'svg', 'canvas', or 'auto' (canvas above canvasThreshold visible nodes)
+        canvasThreshold: 400,
+        urlState: false,  // Mirror filters/zoom/focus/search in the URL: 'hash', 'query' or true (= 'hash')
+        urlStatePrefix: '',  // Prefix for the URL parameters, for several charts on one page
+        ariaLabel: 'Scholarship distribution network',  // Accessible name of the chart and its data table
+        unitLabel: 'scholarships',  // What the values count, used in accessible names
+        exportName: 'radial-network',  // File name (without extension) for exports
+        exportBackground: undefined,  // Background of exported SVG/PNG: the theme's by default, null for transparent
+        validate: true,  // Run validateTree() before rendering
+        duplicates: 'merge',  // Duplicate sibling names: 'merge', 'keep' or 'reject'
+        topN: null,  // Keep the N largest children of each category and below, the rest go into "Other (n)"
+        facets: null,  // Fields to offer as facets, in order; null for every extra field found in the data
+        facetLimit: 20,  // Text fields with more distinct values than this get no facet
+        facetMode: 'dim',  // Nodes that do not match the facets: 'dim' or 'remove'
+        relations: null,  // Weighted links between node paths, [{ source, target, weight }]; null for the data's `relations`
+        showRelations: true,  // Draw the relations; they can be toggled in the relation panel
+        relationBundling: 0.85,  // d3.curveBundle beta: 0 runs straight between the ends, 1 follows the hierarchy
+        relationWidth: 8,  // Stroke width of the heaviest relation
+        layoutKey: null,  // Name the dragged layout is saved under in localStorage; by default the root's name and data's URL or paths
+        theme: 'auto',  // 'auto' (light or dark, following prefers-color-scheme), a key of `themes` or a theme object
+        colors: {},  // Overrides for the theme's colours (gradients, bubble, links, ...)
+        locale: null,  // Locale of numbers and messages ('de-DE'), defaults to the page's lang or the browser's
+        direction: 'auto',  // 'ltr', 'rtl' or 'auto' (right to left for Arabic, Hebrew, ...)
+        valueFormat: 'compact',  // Values: 'compact' (1.5K in bubbles), 'full', 'currency', 'percent' or Intl.NumberFormat options
+        precision: 1,  // Fraction digits of compact, currency and percent values
+        currency: 'USD',  // With valueFormat 'currency'
+        messages: {}  // Overrides for the UI strings, see `messages`
+    };
+
+    // Themes. `colors` are drawn into the SVG and canvas; every other string is also written
+    // to the chart and its panels as a CSS custom property (textMuted -> --rn-text-muted)
+    // for style.css. `name` is what the theme switcher shows
+    const themes = {
+        light: {
+            name: 'Light',
+            background: 'radial-gradient(circle at center, #f6f0ff 0%, #e8d5ff 30%, #ffeef8 60%, #fff8f0 100%)',
+            font: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+            text: '#333',
+            textMuted: '#666',
+            accent: '#6c5ce7',
+            onAccent: '#fff',  // Text on accent-coloured buttons
+            surface: '#fff',  // Buttons and inputs
+            panel: 'rgba(255, 255, 255, 0.95)',
+            panelShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+            border: 'rgba(108, 92, 231, 0.2)',
+            hover: 'rgba(108, 92, 231, 0.1)',
+            nodeText: '#fff',  // Labels inside nodes, bubbles and view items
+            nodeTextHalo: 'rgba(255, 255, 255, 0.8)',
+            nodeStroke: '#fff',  // Collapsed rings and view item outlines
+            focus: '#2d3436',
+            selected: '#fdcb6e',
+            warning: '#e17055',
+            danger: '#d63031',
+            glow: 'rgba(108, 92, 231, 0.4)',  // Node shadows: resting, root, on a lit path, hovered or matched
+            glowRoot: 'rgba(255, 107, 157, 0.6)',
+            glowPath: 'rgba(108, 92, 231, 0.6)',
+            glowActive: 'rgba(108, 92, 231, 0.8)',
+            bubbleShadow: 'rgba(0, 0, 0, 0.15)',
+            exportBackground: '#ffffff',
+            colors: {
+                gradients: ['#ff6b9d', '#a29bfe', '#ff9ff3', '#ffc8dd'], // Root, Category, Subcategory, Leaf
+                bubble: '#74b9ff',
+                links: ['#dda0ff', '#c7a0ff'],
+                sequential: t => d3.interpolateRdPu(0.3 + 0.7 * t), // Leaf colours for colorBy 'value'
+                diverging: d3.interpolatePiYG,
+                increase: '#00b894', // Count bubbles in delta mode
+                decrease: '#d63031',
+                relations: '#e17055' // Weighted links between categories
+            }
+        },
+        dark: {
+            name: 'Dark',
+            background: 'radial-gradient(circle at center, #2e2645 0%, #211c33 40%, #17141f 100%)',
+            text: '#ece9f5',
+            textMuted: '#a9a3bd',
+            accent: '#a29bfe',
+            onAccent: '#17141f',
+            surface: '#2a2540',
+            panel: 'rgba(33, 28, 51, 0.95)',
+            panelShadow: '0 4px 12px rgba(0, 0, 0, 0.5)',
+            border: 'rgba(162, 155, 254, 0.3)',
+            hover: 'rgba(162, 155, 254, 0.15)',
+            nodeTextHalo: 'rgba(0, 0, 0, 0.6)',
+            nodeStroke: '#211c33',
+            focus: '#ffffff',
+            warning: '#fab1a0',
+            danger: '#ff7675',
+            glow: 'rgba(162, 155, 254, 0.35)',
+            glowRoot: 'rgba(232, 67, 147, 0.6)',
+            glowPath: 'rgba(162, 155, 254, 0.6)',
+            glowActive: 'rgba(162, 155, 254, 0.9)',
+            bubbleShadow: 'rgba(0, 0, 0, 0.5)',
+            exportBackground: '#17141f',
+            colors: {
+                gradients: ['#e84393', '#6c5ce7', '#b53f9e', '#8e5b9f'],
+                bubble: '#0984e3',
+                links: ['#7d5fb0', '#5e4a8a'],
+                sequential: t => d3.interpolatePlasma(0.15 + 0.7 * t),
+                diverging: d3.interpolatePiYG,
+                increase: '#00b894',
+                decrease: '#ff7675',
+                relations: '#fdcb6e'
+            }
+        },
+        // Darkened Okabe-Ito colours, which stay apart for common colour vision deficiencies
+        // and keep white labels at 4.5:1 or more; no soft shadows, solid panels
+        contrast: {
+            name: 'High contrast',
+            background: '#ffffff',
+            text: '#000',
+            textMuted: '#333',
+            accent: '#0057a0',
+            onAccent: '#fff',
+            surface: '#fff',
+            panel: '#fff',
+            panelShadow: '0 0 0 2px #000',
+            border: '#000',
+            hover: 'rgba(0, 87, 160, 0.15)',
+            nodeTextHalo: 'transparent',
+            nodeStroke: '#000',
+            focus: '#000',
+            selected: '#e69f00',
+            warning: '#8a4b00',
+            danger: '#a63d00',
+            glow: 'transparent',
+            glowRoot: 'transparent',
+            glowPath: 'rgba(0, 0, 0, 0.5)',
+            glowActive: 'rgba(0, 0, 0, 0.9)',
+            bubbleShadow: 'transparent',
+            exportBackground: '#ffffff',
+            colors: {
+                gradients: ['#000000', '#0057a0', '#a63d00', '#6b3a7d'],
+                bubble: '#005c45',
+                links: ['#000000', '#555555'],
+                sequential: d3.interpolateCividis,
+                diverging: d3.interpolatePuOr,
+                increase: '#005c45',
+                decrease: '#a63d00',
+                relations: '#8a4b00'
+            }
+        }
+    };
+
+    // Custom property for a theme key: textMuted -> --rn-text-muted
+    function themeProperty(key) {
+        return '--rn-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    }
+
+    // Views of the filtered hierarchy, in switcher order
+    const views = ['network', 'sunburst', 'tree', 'treemap', 'icicle'];
+
+    // UI strings by language. {name} placeholders are filled in by the chart; an entry with
+    // `one`/`other` forms is picked by the count's plural category. Languages can be added here
+    // (createRadialNetwork.messages.de = { ... }), entries missing from one fall back to English,
+    // and the `messages` option overrides single entries
+    const messages = {
+        en: {
+            levels: ['Root', 'Categories', 'Subcategories', 'Sub-subcategories', 'Leaves'],
+            level: 'Level {depth}',
+            fixedLevel: '{level}: {name}',
+            filterCategories: 'Filter Categories',
+            filterLevels: 'Filter Levels',
+            filterValues: 'Filter Values',
+            minValue: 'Minimum value',
+            maxValue: 'Maximum value',
+            valueRange: '{min} – {max}',
+            topPerGroup: 'Top per group',
+            all: 'All',
+            otherNodes: 'Other ({count})',
+            filterAttributes: 'Filter Attributes',
+            facetMode: 'Not matching',
+            'facetMode.dim': 'Dim',
+            'facetMode.remove': 'Remove',
+            showRelations: 'Show relationships ({count})',
+            relationTitle: '{source} ↔ {target}',
+            relationWeight: 'Weight: {weight}',
+            showAll: 'Show All',
+            hideAll: 'Hide All',
+            legend: 'Legend',
+            legendSize: 'Size: area by value',
+            legendSizePerLevel: 'Size: area by value, per level',
+            legendColor: 'Colour: leaf value',
+            legendColorDiverging: 'Colour: leaf value, around the median',
+            legendDelta: 'Bubbles: change since the previous period',
+            legendShareParent: 'Bubbles: % of parent',
+            legendShareTotal: 'Bubbles: % of total',
+            count: 'Count: {value}',
+            shareOfParent: '{share} of {parent}',
+            shareOfTotal: '{share} of total',
+            changeSince: '{change} since {period}',
+            rank: '#{rank} of {count} in {parent}',
+            rankShort: '{rank} of {count}',
+            descendants: { one: '{value} descendant', other: '{value} descendants' },
+            newNode: 'new',
+            view: 'View',
+            viewGroup: 'Chart view',
+            'view.network': 'Network',
+            'view.sunburst': 'Sunburst',
+            'view.tree': 'Radial tree',
+            'view.treemap': 'Treemap',
+            'view.icicle': 'Icicle',
+            drillPath: 'Drill-down path',
+            resetZoom: 'Reset zoom',
+            zoomIn: 'Zoom in',
+            zoomOut: 'Zoom out',
+            fitToContent: 'Fit',
+            fitToContentLabel: 'Fit to content',
+            minimap: 'Overview of the chart; click or drag to move the view',
+            selection: 'Selection ({count})',
+            selectionValue: '{value} · {share} of total',
+            removeFromSelection: 'Remove {name} from the selection',
+            exportSelection: 'Export CSV',
+            clearSelection: 'Clear',
+            period: 'Period',
+            play: 'Play',
+            pause: 'Pause',
+            showChange: 'Show change',
+            nodeValue: '{value} {unit}',
+            inParent: 'in {parent}',
+            tableName: 'Name',
+            tableLevel: 'Level',
+            tablePath: 'Path',
+            searchPlaceholder: 'Search nodes…',
+            searchLabel: 'Search nodes',
+            previousMatch: 'Previous match',
+            nextMatch: 'Next match',
+            noMatches: 'No matches',
+            exportMenu: 'Export ▾',
+            exportSVG: 'Export SVG',
+            exportPNG: 'Export PNG',
+            pngScale: 'PNG scale',
+            exportData: 'Export data',
+            theme: 'Theme',
+            'theme.auto': 'Auto',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.contrast': 'High contrast',
+            dataErrors: { one: 'Data error ({count})', other: 'Data errors ({count})' },
+            dataWarnings: { one: 'Data warning ({count})', other: 'Data warnings ({count})' },
+            hide: 'Hide',
+            show: 'Show',
+            dataRejected: 'Data rejected: {error}',
+            dataRejectedMore: 'Data rejected: {error} (and {count} more)',
+            layoutMenu: 'Layout ▾',
+            saveLayout: 'Save layout',
+            loadLayout: 'Load saved layout',
+            exportLayout: 'Export layout',
+            importLayout: 'Import layout…',
+            resetLayout: 'Reset layout',
+            layoutSaved: { one: 'Layout saved ({count} node)', other: 'Layout saved ({count} nodes)' },
+            layoutLoaded: { one: 'Layout loaded ({count} node)', other: 'Layout loaded ({count} nodes)' },
+            layoutInvalid: 'Not a layout file: {error}',
+            connectionRetrying: 'Lost connection to {source}, retrying',
+            connectionReconnecting: 'Lost connection to {source}, reconnecting',
+            invalidRoot: 'Root must be an object with a name and children',
+            unnamedNode: '{where}: node has no name',
+            valueNotNumber: '{where}: value "{value}" is not a number and was ignored',
+            negativeValue: '{where}: negative value {value} was ignored',
+            childrenNotList: '{where}: children is not a list and was ignored',
+            duplicateSiblings: '{where}: {count} siblings share this name',
+            duplicatesKept: '{where}: {count} siblings share this name (kept separately)',
+            duplicatesMerged: '{where}: {count} siblings share this name (merged, value {value})',
+            declaredValue: '{where}: declared value {value} does not match the sum of its children ({sum}); the sum is used',
+            relationsNotList: 'relations is not a list and was ignored',
+            relationNotFound: '{where}: {name} was not found and the relation was ignored',
+            relationSameNode: '{where}: both ends are the same node and the relation was ignored',
+            relationBadWeight: '{where}: weight "{weight}" is not a positive number, 1 was used',
+            help: '🖱️ Scroll to zoom • Drag to pan • Drag a node to move its branch • Click a node to collapse/expand • ' +
+                'Double-click to drill down • Shift-click to compare • Tab + arrow keys to navigate'
+        }
+    };
+
+    // Languages written right to left; the chart and its panels get dir="rtl"
+    const rtlLanguages = new Set(['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+    // English, overlaid with the language ('pt'), the full locale ('pt-BR') and `overrides`
+    function messageCatalogue(locale, overrides) {
+        const language = locale.split('-')[0];
+        return Object.assign({}, messages.en, messages[language], messages[locale], overrides);
+    }
+
+    // Intl formats for values. `short` labels bubbles, the legend and changes (compact unless
+    // valueFormat says otherwise), `full` the tooltip fields, table and accessible names,
+    // `share` the percentages of parent and total
+    function numberFormats(locale, { valueFormat = 'compact', precision = 1, currency = 'USD' } = {}) {
+        const custom = typeof valueFormat === 'object' && valueFormat;
+        const styles = {
+            compact: [{ notation: 'compact', maximumFractionDigits: precision }, {}],
+            full: [{}, {}],
+            currency: [
+                { style: 'currency', currency, notation: 'compact', maximumFractionDigits: precision },
+                { style: 'currency', currency }
+            ],
+            percent: [
+                { style: 'percent', maximumFractionDigits: precision },
+                { style: 'percent', maximumFractionDigits: precision }
+            ]
+        };
+        const [short, full] = custom ? [custom, custom] : styles[valueFormat] || styles.compact;
+        return {
+            short: new Intl.NumberFormat(locale, short),
+            full: new Intl.NumberFormat(locale, full),
+            share: new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }),
+            plural: new Intl.PluralRules(locale)
+        };
+    }
+
+    let instanceCount = 0;
+
+    /**
+     * Create a radial network chart inside `container`.
+     *
+     * Options (all optional):
+     *   width, height     - chart size, defaults to the container size
+     *   tooltip           - selector/element for the tooltip, created on <body> if omitted
+     *   categoryFilter    - selector/element for the category panel, created in the container if omitted, false to disable
+     *   levelFilter       - selector/element for the level panel, same rules as categoryFilter
+     *   valueFilter       - selector/element for the value range slider and top N, same rules as categoryFilter
+     *   facetFilter       - selector/element for the attribute filters, same rules as categoryFilter
+     *   relationToggle    - selector/element for the relations checkbox, same rules as categoryFilter
+     *   layoutMenu        - selector/element for the save/load layout menu, same rules as categoryFilter
+     *   warningsPanel     - selector/element for data validation warnings, same rules as categoryFilter
+     *   search            - selector/element for the search box, same rules as categoryFilter
+     *   exportMenu        - selector/element for the export menu, same rules as categoryFilter
+     *   dataTable         - selector/element for the visually hidden data table, same rules as categoryFilter
+     *   viewSwitcher      - selector/element for the view buttons, same rules as categoryFilter
+     *   legend            - selector/element for the encoding legend, same rules as categoryFilter
+     *   timeline          - selector/element for the period slider (time series data), same rules as categoryFilter
+     *   breadcrumb        - selector/element for the drill-down path, same rules as categoryFilter
+     *   zoomControls      - selector/element for the zoom buttons, same rules as categoryFilter
+     *   minimap           - selector/element for the overview map, same rules as categoryFilter
+     *   selectionPanel    - selector/element for the shift-click selection, same rules as categoryFilter
+     *   themeSwitcher     - selector/element for the theme picker, same rules as categoryFilter
+     *   themeTarget       - selector/element that also gets the theme's custom properties, e.g. 'body' for the page background
+     *   help              - selector/element for the usage hint, same rules as categoryFilter
+     *   autoResize        - follow window resizes (default true)
+     *   data              - hierarchy to render straight away
+     *   any key of `defaults` (nodeSize, bubbleRadius, colors, ...)
+     *
+     * Returns an instance with setData(), load(), update(), resize(), on() and destroy().
+     */
+    function createRadialNetwork(container, options = {}) {
+        const config = Object.assign({}, defaults, options); // `colors` is filled in by applyTheme()
+        const uid = `rn${++instanceCount}`;
+
+        // Strings and number formats of the chart's locale
+        const locale = config.locale || document.documentElement.lang || navigator.language || 'en';
+        const catalogue = messageCatalogue(locale, config.messages);
+        const formats = numberFormats(locale, config);
+        const direction = config.direction !== 'auto' ? config.direction :
+            rtlLanguages.has(locale.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+        const dispatch = d3.dispatch('validate', 'render', 'filter', 'toggle', 'hover', 'search', 'focus', 'view', 'period', 'drill', 'select', 'theme', 'layout', 'end', 'error', 'destroy');
+
+        const host = d3.select(container).classed('radial-network', true);
+        if (host.empty()) throw new Error(`createRadialNetwork: container ${container} not found`);
+
+        config.width = config.width || host.node().clientWidth || window.innerWidth;
+        config.height = config.height || host.node().clientHeight || window.innerHeight;
+        // Setup SVG
+        const svg = host
+            .append('svg')
+            .attr('width', config.width)
+            .attr('height', config.height);
+
+        const g = svg.append('g')
+            .attr('class', 'zoom-group');
+
+        // Links are kept below relations and nodes; the layers persist across filter changes.
+        // The other views (sunburst, treemap, ...) draw into their own layer
+        const networkLayer = g.append('g').attr('class', 'network');
+        const linkLayer = networkLayer.append('g').attr('class', 'links');
+        const relationLayer = networkLayer.append('g').attr('class', 'relations');
+        const nodeLayer = networkLayer.append('g').attr('class', 'nodes');
+        const viewLayer = g.append('g').attr('class', 'views');
+
+        // Tooltip and filter panels: use the given elements or create our own
+        const ownedElements = [];
+        const panels = []; // Every panel, for the theme's custom properties
+        const tooltip = resolvePanel(options.tooltip || null, d3.select(document.body), 'tooltip');
+        const categoryFilterPanel = resolvePanel(options.categoryFilter, host, 'category-filter');
+        const levelFilterPanel = resolvePanel(options.levelFilter, host, 'level-filter');
+        const warningsPanel = resolvePanel(options.warningsPanel, host, 'data-warnings');
+
+        function resolvePanel(target, parent, className) {
+            if (target === false) return null;
+            const panel = target ? d3.select(target) : parent.append('div').attr('class', className);
+            if (!target) ownedElements.push(panel);
+            panels.push(panel);
+            return panel;
+        }
+
+        // Per-instance storage for all nodes (for path finding)
+        let allNodes = [];
+        let originalNodes = [];
+        let originalLinks = [];
+        let originalRoot = null;
+        let dataSource = null; // URL the data came from through load() or connect(), see layoutName()
+        let datasetId = null; // dataSource, or a hash of the node paths of data passed in directly
+        let nodeIndex = indexNodes([]); // Parent/children index over originalNodes
+        let visibleById = new Map(); // Visible node objects (allNodes) by id
+        let visibleCategories = new Set(); // Track which categories are visible
+        let visibleLevels = new Set(); // Track which depth levels are visible (0=root, 1=category, 2=subcategory, etc.)
+        let collapsedNodes = new Set(); // Ids of nodes whose subtree is folded into them
+        let valueRange = null; // [min, max] of the leaves shown, either bound null for none
+        let topN = config.topN; // Children kept per category and below, the rest go into "Other"
+        let otherNodes = new Map(); // Visible "Other (n)" nodes by id
+        let treeLayout = null; // radialLayout() of the whole tree or drilled-in subtree: { drillId, positions }
+        let facetFilters = new Map(); // Attribute filters by field: { exclude: Set of values } or { range: [min, max] }
+        let facetMode = config.facetMode; // Nodes that do not match the facets: 'dim' or 'remove'
+        let facetResult = null; // matchLeaves() result while a facet is set: matching ids and their totals
+        let entrancePending = false; // Play the entrance animation once per setData()
+
+        // Canvas renderer (see the Canvas rendering section below)
+        let canvasMode = false; // Nodes and links are painted on the canvas instead of the SVG layers
+        let visibleLinks = []; // Links between allNodes, for painting
+        let highlight = null; // { ids, matches, current } while a path or search is highlighted (canvas and views)
+        let canvasHoverId = null;
+        let canvasFrame = null;
+        let minimap = null; // Minimap canvas and its frame, see the Minimap section below
+        let minimapFrame = null;
+        let hitIndex = null; // Quadtree over allNodes, rebuilt lazily after nodes move
+        const canvas = host.insert('canvas', 'svg')
+            .attr('class', 'radial-network-canvas')
+            .attr('aria-hidden', true)
+            .style('display', 'none');
+
+        // URL state (see the URL state section below)
+        const urlStateMode = config.urlState === true ? 'hash' : config.urlState || null;
+        let lastUrlState = null; // Serialized state last written to / read from the URL
+        let restoringUrlState = false;
+        let urlWriteTimer = null;
+
+        // Setup zoom behavior
+        const zoom = d3.zoom()
+            .scaleExtent(config.scaleExtent || [0.3, 3]) // Until the data is in, see updateScaleExtent()
+            // d3's default, except that pressing a node painted on the canvas drags it (see canvasDrag)
+            .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+                !(canvasMode && (event.type === 'mousedown' || event.type === 'touchstart') && draggable(canvasNodeAt(event))))
+            .on('zoom', function (event) {
+                g.attr('transform', event.transform);
+                if (canvasMode) requestCanvasDraw();
+                requestMinimapDraw();
+            })
+            .on('end', () => scheduleUrlStateWrite());
+
+        // Apply zoom to SVG
+        svg.call(zoom);
+
+        // Set initial zoom transform to center the visualization
+        const initialTransform = d3.zoomIdentity
+            .translate(config.width / 2, config.height / 2)
+            .scale(1);
+
+        svg.call(zoom.transform, initialTransform);
+
+        // Create gradients dynamically (ids are prefixed so several charts can share a page);
+        // their colours come from the theme, see updateGradients()
+        const defs = svg.append('defs');
+        const gradients = defs.selectAll('radialGradient')
+            .data(['root', 'category', 'subcategory', 'leaf'])
+            .join('radialGradient')
+            .attr('id', type => `${uid}-${type}Gradient`);
+        gradients.append('stop').attr('offset', '0%');
+        gradients.append('stop').attr('offset', '100%');
+
+        // Running simulation/layout tween and pending timers, so they can be cancelled on re-render/destroy
+        let simulation = null;
+        let layoutTimer = null;
+        const timers = new Set();
+
+        function schedule(callback, delay) {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                callback();
+            }, delay);
+            timers.add(id);
+        }
+
+        // Validate `data` and build its hierarchy; `root` is null if the data was rejected
+        function prepareTree(data) {
+            const result = config.validate === false ?
+                { tree: copyTree(data), warnings: [], errors: [] } :
+                validateTree(data, { duplicates: config.duplicates, t, format: formatValue });
+            if (result.errors.length > 0) return { result, root: null };
+
+            const root = d3.hierarchy(result.tree)
+                .sum(d => d.value || 0)
+                .sort((a, b) => b.value - a.value);
+            assignPathIds(root);
+            return { result, root };
+        }
+
+        // With `keepState` (another period or a new version of the same data) the filters,
+        // collapsed nodes and drawn elements are kept, and nodes move from where they are
+        function render(data, { keepState = false } = {}) {
+            const { result, root } = prepareTree(data);
+
+            // Relations between node paths: the option's, or else the data's
+            if (root) relations = resolveRelations(relationList || result.tree.relations, root, result.warnings);
+            showWarnings(result);
+            dispatch.call('validate', instance, result);
+
+            if (!root) {
+                showError(new Error(result.errors.length > 1 ?
+                    t('dataRejectedMore', { error: result.errors[0], count: formatValue(result.errors.length - 1) }) :
+                    t('dataRejected', { error: result.errors[0] })));
+                return;
+            }
+
+            // What the user hid, by category name, level and node path
+            const kept = keepState && originalRoot ? {
+                categories: (originalRoot.children || []).map(c => c.data.name).filter(name => !visibleCategories.has(name)),
+                levels: d3.range(1, (d3.max(originalNodes, d => d.depth) || 0) + 1).filter(level => !visibleLevels.has(level)),
+                collapsed: collapsedNodes
+            } : null;
+            if (!kept) {
+                valueRange = null;
+                topN = config.topN;
+                facetFilters = new Map();
+            }
+
+            originalRoot = root; // Store original root
+            // Scales span every period, so sizes and colours compare across the timeline
+            encodings = buildEncodings(root, series ? series.roots.filter(Boolean) : [root]);
+            updateLegend();
+
+            // Calculate positions
+            const nodes = getPositions(root);
+            originalNodes = [...nodes]; // Store original nodes
+            nodeIndex = indexNodes(originalNodes);
+            treeLayout = null;
+            nodes.forEach(n => { n.x0 = n.x; n.y0 = n.y; }); // Layout position, used when a node re-enters
+
+            const links = root.links().map(l => ({
+                source: l.source.data.id,
+                target: l.target.data.id,
+                type: l.target.depth === 1 ? 'primary' : 'secondary'
+            }));
+            originalLinks = [...links]; // Store original links
+
+            // Reset filter state for the new data
+            visibleCategories = new Set();
+            visibleLevels = new Set();
+            collapsedNodes = new Set();
+            if (!kept) {
+                drillId = null;
+                selectedIds = new Set();
+                datasetId = dataSource || hashString(originalNodes.map(n => n.id).join('\n'));
+                pins = layoutPins(storedLayout()); // A layout saved for this dataset comes back
+                allNodes = [];
+                visibleById = new Map();
+                linkLayer.selectAll('*').remove();
+                relationLayer.selectAll('*').remove();
+                nodeLayer.selectAll('*').remove();
+                entrancePending = true;
+            }
+
+            // Build category filter UI
+            buildCategoryFilter(root);
+
+            // Build level filter UI
+            buildLevelFilter(root);
+
+            // Value range slider and top N, over the new leaf values
+            buildValueFilter();
+
+            // Attribute filters, from the fields found in the new data
+            buildFacetFilter();
+
+            buildRelationToggle();
+
+            if (kept) {
+                kept.categories.forEach(name => visibleCategories.delete(name));
+                kept.levels.forEach(level => visibleLevels.delete(level));
+                kept.collapsed.forEach(id => { if (nodeIndex.get(id)) collapsedNodes.add(id); });
+                selectedIds = new Set([...selectedIds].filter(id => nodeIndex.get(id)));
+                syncFilterInputs();
+            }
+
+            dispatch.call('render', instance, root);
+
+            // Apply initial filtering (all visible by default); this also starts the layout
+            applyFilters();
+
+            // A shared link wins over the defaults
+            if (urlStateMode && !kept) restoreUrlState(false);
+        }
+
+        // Move the nodes to their new positions; `settle` runs once when they are at rest
+        function runLayout(nodes, links, alpha = 1) {
+            stopLayout();
+
+            let settled = false;
+            const settle = () => {
+                if (settled) return;
+                settled = true;
+                // Redraw count bubbles with final positions
+                redrawCountBubbles(nodes);
+                if (entrancePending) {
+                    entrancePending = false;
+                    animateEntrance();
+                }
+                updateScaleExtent();
+                dispatch.call('end', instance, nodes);
+            };
+
+            if (config.layout === 'force') {
+                runSimulation(nodes, links, alpha, settle);
+            } else {
+                runTransition(nodes, links, settle);
+            }
+        }
+
+        function stopLayout() {
+            if (simulation) simulation.stop();
+            if (layoutTimer) layoutTimer.stop();
+            simulation = layoutTimer = null;
+        }
+
+        // Radial layout: tween from the current positions to the targets set by radialLayout()
+        function runTransition(nodes, links, settle) {
+            const start = nodes.map(d => [d.x, d.y]);
+            const step = t => {
+                nodes.forEach((d, i) => {
+                    d.x = start[i][0] + (d.tx - start[i][0]) * t;
+                    d.y = start[i][1] + (d.ty - start[i][1]) * t;
+                });
+                updateParentPositions(nodes, links);
+                ticked(nodes, links);
+            };
+
+            const duration = motion(600);
+            if (!duration) {
+                step(1);
+                settle();
+                return;
+            }
+
+            layoutTimer = d3.timer(elapsed => {
+                const t = Math.min(1, elapsed / duration);
+                step(d3.easeCubicInOut(t));
+                if (t === 1) {
+                    layoutTimer.stop();
+                    layoutTimer = null;
+                    settle();
+                }
+            });
+        }
+
+        function runSimulation(nodes, links, alpha, settle) {
+            const animated = !prefersReducedMotion();
+
+            simulation = d3.forceSimulation(nodes)
+                .alpha(alpha)
+                .force('link', d3.forceLink(links).id(d => d.id).distance(d => {
+                    // Adjust distance based on link type
+                    return d.type === 'primary' ? 220 : 80;
+                }).strength(0.5))
+                .force('charge', d3.forceManyBody().strength(-50))
+                .force('collision', d3.forceCollide().radius(d => d.radius + 10))
+                .alphaDecay(0.05)
+                .on('tick', () => {
+                    // Update parent positions during simulation
+                    updateParentPositions(nodes, links);
+                    ticked(nodes, links);
+                })
+                .on('end', () => {
+                    simulation.stop();
+                    settle();
+                });
+
+            // Reduced motion: settle the layout up front and draw the result once
+            if (!animated) {
+                simulation.stop();
+                const ticks = Math.ceil(Math.log(simulation.alphaMin() / alpha) / Math.log(1 - simulation.alphaDecay()));
+                simulation.tick(Math.max(ticks, 0));
+                updateParentPositions(nodes, links);
+                ticked(nodes, links);
+                settle();
+                return;
+            }
+
+            // Cap the settling time; settle() ignores the 'end' event if it comes later
+            const current = simulation;
+            schedule(() => {
+                if (current !== simulation) return;
+                simulation.stop();
+                settle();
+            }, 2000);
+        }
+
+        // Build category filter UI dynamically
+        function buildCategoryFilter(root) {
+            // Get first-level categories
+            const categories = root.children || [];
+
+            categories.forEach(category => visibleCategories.add(category.data.name)); // All visible by default
+
+            if (!categoryFilterPanel) return;
+            const filterPanel = categoryFilterPanel;
+            filterPanel.html(''); // Clear existing
+
+            if (categories.length === 0) return;
+
+            // Create header
+            filterPanel.append('h3')
+                .text(t('filterCategories'));
+
+            // Create checkbox for each category
+            const filterContainer = filterPanel.append('div')
+                .attr('class', 'filter-container');
+
+            categories.forEach((category, i) => {
+                const categoryName = category.data.name;
+                const inputId = `${uid}-filter-${i}`;
+
+                const item = filterContainer.append('div')
+                    .attr('class', 'category-filter-item')
+                    .attr('data-category', categoryName);
+
+                item.append('input')
+                    .attr('type', 'checkbox')
+                    .attr('id', inputId)
+                    .attr('checked', true)
+                    .on('change', function () {
+                        const isChecked = this.checked;
+                        if (isChecked) {
+                            visibleCategories.add(categoryName);
+                            item.classed('hidden', false);
+                        } else {
+                            visibleCategories.delete(categoryName);
+                            item.classed('hidden', true);
+                        }
+                        applyFilters();
+                    });
+
+                item.append('label')
+                    .attr('for', inputId)
+                    .text(categoryName);
+            });
+
+            // Add action buttons
+            const actions = filterPanel.append('div')
+                .attr('class', 'category-filter-actions');
+
+            actions.append('button')
+                .text(t('showAll'))
+                .on('click', function () {
+                    categories.forEach(cat => visibleCategories.add(cat.data.name));
+                    filterContainer.selectAll('.category-filter-item')
+                        .classed('hidden', false)
+                        .select('input').property('checked', true);
+                    applyFilters();
+                });
+
+            actions.append('button')
+                .text(t('hideAll'))
+                .on('click', function () {
+                    categories.forEach(cat => visibleCategories.delete(cat.data.name));
+                    filterContainer.selectAll('.category-filter-item')
+                        .classed('hidden', true)
+                        .select('input').property('checked', false);
+                    applyFilters();
+                });
+        }
+
+        // Build level filter UI dynamically
+        function buildLevelFilter(root) {
+            // Find all depth levels in the data
+            const maxDepth = d3.max(originalNodes, d => d.depth) || 0;
+
+            // Initialize all levels as visible
+            for (let i = 0; i <= maxDepth; i++) {
+                visibleLevels.add(i);
+            }
+
+            if (!levelFilterPanel) return;
+            levelFilterPanel.html(''); // Clear existing
+
+            if (maxDepth === 0) return; // No levels to filter
+
+            // Create header
+            levelFilterPanel.append('h3')
+                .text(t('filterLevels'));
+
+            // Create checkbox for each level (skip root level 0)
+            const levelContainer = levelFilterPanel.append('div')
+                .attr('class', 'filter-container');
+
+            for (let depth = 1; depth <= maxDepth; depth++) {
+                const levelName = levelLabel(depth);
+                const levelId = `${uid}-level-${depth}`;
+
+                const item = levelContainer.append('div')
+                    .attr('class', 'category-filter-item')
+                    .attr('data-level', depth);
+
+                item.append('input')
+                    .attr('type', 'checkbox')
+                    .attr('id', levelId)
+                    .attr('checked', true)
+                    .on('change', function () {
+                        const isChecked = this.checked;
+                        if (isChecked) {
+                            visibleLevels.add(depth);
+                            item.classed('hidden', false);
+                        } else {
+                            visibleLevels.delete(depth);
+                            item.classed('hidden', true);
+                        }
+                        applyFilters();
+                    });
+
+                item.append('label')
+                    .attr('for', levelId)
+                    .text(levelName);
+            }
+
+            // Add action buttons
+            const actions = levelFilterPanel.append('div')
+                .attr('class', 'category-filter-actions');
+
+            actions.append('button')
+                .text(t('showAll'))
+                .on('click', function () {
+                    for (let depth = 1; depth <= maxDepth; depth++) {
+                        visibleLevels.add(depth);
+                    }
+                    levelContainer.selectAll('.category-filter-item')
+                        .classed('hidden', false)
+                        .select('input').property('checked', true);
+                    applyFilters();
+                });
+
+            actions.append('button')
+                .text(t('hideAll'))
+                .on('click', function () {
+                    for (let depth = 1; depth <= maxDepth; depth++) {
+                        visibleLevels.delete(depth);
+                    }
+                    levelContainer.selectAll('.category-filter-item')
+                        .classed('hidden', true)
+                        .select('input').property('checked', false);
+                    applyFilters();
+                });
+        }
+
+        // Apply filters to show/hide categories and levels
+        function applyFilters() {
+            // Leaves matching the attribute filters, and the totals above them
+            const test = facetTest();
+            const facets = facetResult = test ? matchLeaves(nodeIndex, test) : null;
+
+            // One pass over the indexed hierarchy: hidden nodes and the visible
+            // nodes that stand in for hidden descendants
+            const { hidden: hiddenNodeIds, aggregated, others } = computeVisibility(nodeIndex, {
+                categories: visibleCategories,
+                levels: visibleLevels,
+                collapsed: collapsedNodes,
+                range: valueRange,
+                top: topN,
+                match: facets && facetMode === 'remove' ? facets.matching : null,
+                values: facets && facets.totals
+            });
+
+            // Drilled in: only the centre's subtree; back to the whole tree if the centre is filtered out
+            const drill = drillId && !hiddenNodeIds.has(drillId) ? nodeIndex.get(drillId) : null;
+            if (!drill) drillId = null;
+            if (drill) {
+                const inside = new Set(nodeIndex.descendants(drill.id)).add(drill.id);
+                originalNodes.forEach(n => { if (!inside.has(n.id)) hiddenNodeIds.add(n.id); });
+            }
+
+            // Filter nodes
+            let filteredNodes = originalNodes.filter(n => !hiddenNodeIds.has(n.id));
+
+            // Aggregate values for nodes whose children are hidden
+            // (node.value already includes every descendant through d3's .sum(),
+            // so it is the aggregated count as it stands)
+            filteredNodes = filteredNodes.map(node => {
+                if (aggregated.has(node.id)) {
+                    // Create a copy flagged as aggregated
+                    node = {
+                        ...node,
+                        hasAggregatedValue: true
+                    };
+                }
+                if (facets) {
+                    // Totals of the matching leaves only; leaves that do not match are dimmed
+                    node = { ...node, value: currentValue(node), facetMatch: facets.matching.has(node.id) };
+                    if (config.sizeBy === 'value') node.radius = encodings.radius({ depth: node.depth, value: node.value });
+                }
+                return pinned(node);
+            });
+
+            // Children beyond the top N are drawn as one "Other (n)" node after the rest.
+            // Parents come before their children, so `lastChild` ends up at a parent's
+            // last visible child, or at the parent itself when none is left
+            otherNodes = new Map();
+            if (others.size) {
+                const lastChild = new Map();
+                filteredNodes.forEach((node, index) => {
+                    lastChild.set(node.parentId, index);
+                    if (!lastChild.has(node.id)) lastChild.set(node.id, index);
+                });
+                const inserted = new Map(); // Index -> Other nodes that follow it
+                others.forEach((ids, parentId) => {
+                    if (hiddenNodeIds.has(parentId)) return;
+                    const other = pinned(otherNode(nodeIndex.get(parentId), ids.map(id => nodeIndex.get(id))));
+                    otherNodes.set(other.id, other);
+                    const index = lastChild.get(parentId);
+                    inserted.set(index, [...(inserted.get(index) || []), other]);
+                });
+                if (inserted.size) {
+                    filteredNodes = filteredNodes.flatMap((node, index) => [node, ...(inserted.get(index) || [])]);
+                }
+            }
+
+            // The force layout pins the centre like the root
+            if (drill && config.layout === 'force') {
+                filteredNodes = filteredNodes.map(node => node.id === drill.id ? { ...node, fx: 0, fy: 0 } : node);
+            }
+
+            // Keep nodes that stay visible where they are; nodes that (re)appear
+            // start on their nearest visible ancestor and move out from there
+            const previousNodes = new Map(allNodes.map(n => [n.id, n]));
+            filteredNodes.forEach(node => {
+                node.collapsed = collapsedNodes.has(node.id);
+                const previous = previousNodes.get(node.id);
+                if (previous) {
+                    node.x = previous.x;
+                    node.y = previous.y;
+                } else {
+                    const origin = previousNodes.size ? findVisibleAncestor(node, previousNodes) : null;
+                    node.x = origin ? origin.x + (node.x0 - origin.x0) * 0.1 : node.x0;
+                    node.y = origin ? origin.y + (node.y0 - origin.y0) * 0.1 : node.y0;
+                }
+                node.vx = node.vy = 0;
+            });
+
+            // Create node map for quick lookup
+            const nodeMap = new Map(filteredNodes.map(n => [n.id, n]));
+            const firstDraw = previousNodes.size === 0;
+
+            // Deterministic targets for the radial layout, from the whole tree: filters and
+            // collapsing only hide nodes, so the ones left keep their sectors
+            if (config.layout !== 'force') {
+                const positions = layoutTree(drill);
+                const parents = new Set(filteredNodes.map(node => {
+                    const parent = findVisibleAncestor(node, nodeMap);
+                    return parent && parent.id;
+                }));
+                // Pinned nodes stay where they were dropped, and what is below them moves along
+                const shifts = new Map();
+                filteredNodes.forEach(node => {
+                    Object.assign(node, positions.get(node.id) || otherPosition(node, positions));
+                    // Labelled outwards when nothing is drawn below it, such as a collapsed node
+                    node.outer = !parents.has(node.id);
+                    const parent = findVisibleAncestor(node, nodeMap);
+                    const shift = node.pinned ? [node.fx - node.tx, node.fy - node.ty] : parent && shifts.get(parent.id);
+                    if (shift) {
+                        shifts.set(node.id, shift);
+                        node.tx += shift[0];
+                        node.ty += shift[1];
+                    }
+                    if (firstDraw) {
+                        node.x = node.tx;
+                        node.y = node.ty;
+                    }
+                });
+            }
+
+            // Filter and rebuild links with proper node references
+            const filteredLinks = originalLinks
+                .filter(l => {
+                    const sourceId = typeof l.source === 'string' ? l.source : (l.source.id || l.source);
+                    const targetId = typeof l.target === 'string' ? l.target : (l.target.id || l.target);
+                    return !hiddenNodeIds.has(sourceId) && !hiddenNodeIds.has(targetId);
+                })
+                .map(l => {
+                    const sourceId = typeof l.source === 'string' ? l.source : (l.source.id || l.source);
+                    const targetId = typeof l.target === 'string' ? l.target : (l.target.id || l.target);
+                    return {
+                        source: nodeMap.get(sourceId),
+                        target: nodeMap.get(targetId),
+                        type: l.type
+                    };
+                })
+                .filter(l => l.source && l.target) // Remove invalid links
+                .concat([...otherNodes.values()].map(other => ({
+                    source: nodeMap.get(other.parentId),
+                    target: nodeMap.get(other.id),
+                    type: other.depth === 1 ? 'primary' : 'secondary'
+                })));
+
+            // Update allNodes for path finding
+            allNodes = filteredNodes;
+            visibleById = nodeMap;
+
+            visibleLinks = filteredLinks;
+
+            dispatch.call('filter', instance, { nodes: filteredNodes, links: filteredLinks });
+            updateBreadcrumb();
+            updateLevelLabels();
+
+            showViewLayer();
+            if (currentView !== 'network') {
+                // Part-to-whole views are laid out from scratch; the network waits where it is
+                setCanvasMode(false);
+                stopLayout();
+                drawView(filteredNodes, nodeMap);
+                updateScaleExtent();
+                requestMinimapDraw();
+            } else {
+                // Large hierarchies are painted on the canvas; smaller ones get SVG elements
+                setCanvasMode(config.renderer === 'canvas' ||
+                    (config.renderer === 'auto' && filteredNodes.length > config.canvasThreshold));
+
+                if (canvasMode) {
+                    hitIndex = null;
+                    requestCanvasDraw();
+                } else {
+                    // Keyed redraw: existing elements are updated in place, others enter/exit
+                    drawLinks(filteredLinks, nodeMap);
+                    drawRelations();
+                    drawNodes(filteredNodes, nodeMap);
+                }
+
+                // Re-run the layout with filtered nodes (gently, unless this is the first draw)
+                runLayout(filteredNodes, filteredLinks, firstDraw ? 1 : 0.5);
+            }
+            updateDataTable();
+            refreshSearch();
+            updateSelection();
+            scheduleUrlStateWrite();
+        }
+
+        // radialLayout() of every node, or of the drill-down centre's subtree, kept until the data
+        // or the centre changes
+        function layoutTree(drill) {
+            const drillKey = drill ? drill.id : null;
+            if (treeLayout && treeLayout.drillId === drillKey) return treeLayout.positions;
+            const nodes = drill ? [drill, ...nodeIndex.descendants(drill.id).map(id => nodeIndex.get(id))] : originalNodes;
+            const positions = radialLayout(nodes, {
+                parentOf: node => node === drill ? null : nodeIndex.get(node.parentId),
+                weight: config.layoutWeight,
+                depthOf: node => node.depth - (drill ? drill.depth : 0),
+                distance: config.distance,
+                reserve: 18 + 2 * config.bubbleRadius
+            });
+            treeLayout = { drillId: drillKey, positions };
+            return positions;
+        }
+
+        // An "Other (n)" node sits on its children's ring, at the middle of their angles
+        function otherPosition(other, positions) {
+            const rest = other.rolledUp.map(id => positions.get(id)).filter(Boolean);
+            const first = rest[0];
+            const radius = first ? Math.hypot(first.tx, first.ty) : 0;
+            const angle = d3.mean(rest, p => p.angle) || 0;
+            return { tx: radius * Math.cos(angle), ty: radius * Math.sin(angle), angle, outer: true };
+        }
+
+        // Nearest ancestor of `node` present in `visible` (a Map of id -> node)
+        function findVisibleAncestor(node, visible) {
+            let current = nodeIndex.get(node.parentId);
+            while (current && !visible.has(current.id)) {
+                current = nodeIndex.get(current.parentId);
+            }
+            return current ? visible.get(current.id) : null;
+        }
+
+        // Stand-in for the children of `parent` beyond the top N (`rest`), with their total.
+        // It starts where they were and is not part of nodeIndex: its id is the parent's plus '#other'
+        function otherNode(parent, rest) {
+            const matches = n => !facetResult || facetResult.matching.has(n.id);
+            const value = d3.sum(rest.filter(matches), currentValue);
+            const shape = { depth: parent.depth + 1, value, children: rest.some(n => n.hasChildren) ? rest : null };
+            const name = t('otherNodes', { count: formatValue(rest.length) });
+            return {
+                id: `${parent.id}#other`,
+                name,
+                value,
+                depth: shape.depth,
+                radius: Math.min(encodings.radius(shape), config.nodeSize(shape)),
+                hasChildren: false,
+                ...paintOf(shape),
+                x0: d3.mean(rest, n => n.x0),
+                y0: d3.mean(rest, n => n.y0),
+                parentX: parent.x0,
+                parentY: parent.y0,
+                parentId: parent.id,
+                rolledUp: rest.map(n => n.id),
+                facetMatch: facetResult ? rest.some(matches) : undefined,
+                data: { name, value }
+            };
+        }
+
+        // Collapse or expand the subtree below a node
+        function toggleCollapse(data) {
+            if (!data.hasChildren || data.depth === 0 || data.id === drillId) return;
+            if (collapsedNodes.has(data.id)) {
+                collapsedNodes.delete(data.id);
+            } else {
+                collapsedNodes.add(data.id);
+            }
+            tooltip.classed('show', false);
+            dispatch.call('toggle', instance, data, collapsedNodes.has(data.id));
+            applyFilters();
+        }
+
+        function getPositions(root) {
+            const nodes = [];
+
+            root.each(node => {
+                const depth = node.depth;
+                const hasChildren = node.children && node.children.length > 0;
+
+                // Calculate position
+                let x = 0, y = 0, fx, fy;
+
+                if (depth === 0) {
+                    // Root at center
+                    fx = fy = x = y = 0;
+                } else if (depth === 1) {
+                    // First level: evenly distributed around center
+                    const siblings = node.parent.children;
+                    const index = siblings.indexOf(node);
+                    const angle = (index * 2 * Math.PI / siblings.length) - Math.PI / 2;
+                    x = fx = Math.cos(angle) * 220;
+                    y = fy = Math.sin(angle) * 220;
+                } else {
+                    // Deeper levels: positioned relative to parent
+                    const siblings = node.parent.children;
+                    const index = siblings.indexOf(node);
+                    const parentAngle = Math.atan2(node.parent.y || 0, node.parent.x || 0);
+                    const spread = Math.min(siblings.length / 8, 0.5);
+                    const angleStep = (Math.PI * spread) / Math.max(siblings.length - 1, 1);
+                    const angle = parentAngle - (Math.PI * spread / 2) + (index * angleStep);
+                    const distance = depth === 2 ? 140 : 100; // Distance for level 2 and 3
+                    x = (node.parent.x || 0) + Math.cos(angle) * distance;
+                    y = (node.parent.y || 0) + Math.sin(angle) * distance;
+                }
+
+                // Store calculated data (node.data.id was set by assignPathIds)
+                node.x = x;
+                node.y = y;
+                if (fx !== undefined) { node.fx = fx; node.fy = fy; }
+
+                nodes.push({
+                    id: node.data.id,
+                    name: node.data.name,
+                    value: node.value,
+                    depth: depth,
+                    x: x,
+                    y: y,
+                    fx: fx,
+                    fy: fy,
+                    radius: encodings.radius(node),
+                    hasChildren: hasChildren,
+                    ...paintOf(node),
+                    parentX: node.parent ? (node.parent.x || 0) : null,
+                    parentY: node.parent ? (node.parent.y || 0) : null,
+                    parentId: node.parent ? node.parent.data.id : null,  // Store parent ID for path finding
+                    data: node.data  // Source object, for the extra fields shown in the tooltip
+                });
+            });
+
+            return nodes;
+        }
+
+        // Value-coloured leaves are filled flat, everything else with its depth's gradient
+        function paintOf(node) {
+            const color = encodings.color(node);
+            return {
+                color,
+                gradient: encodings.colorScale && !node.children ? color :
+                    `url(#${uid}-${['root', 'category', 'subcategory', 'leaf'][Math.min(node.depth, 3)]}Gradient)`
+            };
+        }
+
+        function drawLinks(links, nodeMap) {
+            linkLayer.selectAll('line.link:not(.exiting)')
+                .data(links, d => `${d.source.id}>${d.target.id}`)
+                .join(
+                    enter => enter.append('line')
+                        .attr('class', 'link')
+                        .attr('opacity', 0)
+                        .call(line => line.transition().duration(400).attr('opacity', 0.3)),
+                    update => update,
+                    exit => exit
+                        .classed('exiting', true)
+                        .call(line => line.transition().duration(300)
+                            .attr('opacity', 0)
+                            .attr('x2', d => (findVisibleAncestor(d.target, nodeMap) || d.source).x)
+                            .attr('y2', d => (findVisibleAncestor(d.target, nodeMap) || d.source).y)
+                            .remove())
+                )
+                .classed('facet-dimmed', d => d.target.facetMatch === false)
+                .attr('stroke', d => config.colors.links[d.type === 'primary' ? 0 : 1])
+                .attr('stroke-width', d => d.type === 'primary' ? 2.5 : 1.5);
+        }
+
+        function drawNodes(nodes, nodeMap) {
+            const nodeGroups = nodeLayer.selectAll('g.node:not(.exiting)')
+                .data(nodes, d => d.id)
+                .join(
+                    enter => {
+                        const group = enter.append('g')
+                            .attr('class', 'node')
+                            .attr('role', 'treeitem')
+                            .attr('tabindex', -1)
+                            .style('opacity', 0)
+                            .on('keydown', handleNodeKeydown)
+                            .on('focus', (e, d) => { keyboardId = d.id; updateTabStops(); })
+                            .on('blur', (e, d) => {
+                                if (activatedId === d.id) {
+                                    activatedId = null;
+                                    handleHover(null, d, false);
+                                }
+                            });
+
+                        // Main circles
+                        group.append('circle')
+                            .attr('class', 'node-circle')
+                            .style('filter', d => nodeGlow(d))
+                            .style('cursor', 'pointer')
+                            .on('mouseenter', (e, d) => handleHover(e, d, true))
+                            .on('mouseleave', (e, d) => handleHover(e, d, false))
+                            .on('click', handleNodeClick)
+                            .on('dblclick', handleNodeDblclick);
+
+                        // Labels
+                        group.append('text')
+                            .attr('class', 'node-text')
+                            .attr('dy', d => d.depth === 0 ? '-10' : '0.35em')
+                            .style('font-size', d => [18, 13, 10, 9][Math.min(d.depth, 3)] + 'px')
+                            .style('font-weight', d => d.hasChildren ? 600 : 500)
+                            .style('pointer-events', 'none');
+
+                        // Root subtitle
+                        group.filter(d => d.depth === 0)
+                            .append('text')
+                            .attr('class', 'node-subtitle')
+                            .attr('text-anchor', 'middle')
+                            .attr('dy', '12')
+                            .attr('fill', theme.nodeText)
+                            .style('font-size', '12px')
+                            .style('pointer-events', 'none')
+                            .text(d => rootLabels(d).subtitle);
+
+                        group.call(nodeDrag);
+                        group.transition().duration(motion(400)).style('opacity', 1);
+                        return group;
+                    },
+                    update => update,
+                    exit => exit
+                        .classed('exiting', true)
+                        .attr('tabindex', null)
+                        .call(group => group.selectAll('.count-bubble, .count-link').remove())
+                        .call(group => group.transition().duration(motion(300))
+                            .style('opacity', 0)
+                            .attr('transform', d => {
+                                const target = findVisibleAncestor(d, nodeMap) || d;
+                                return `translate(${target.x},${target.y})`;
+                            })
+                            .remove())
+                )
+                .classed('collapsed', d => d.collapsed)
+                .classed('collapsible', d => d.hasChildren && d.depth > 0)
+                .classed('selected', d => selectedIds.has(d.id))
+                .classed('facet-dimmed', d => d.facetMatch === false)
+                .attr('aria-level', d => d.depth + 1)
+                .attr('aria-expanded', d => d.hasChildren && d.depth > 0 ? !d.collapsed : null)
+                .attr('aria-label', d => accessibleName(d, nodeMap))
+                .attr('transform', d => `translate(${d.x},${d.y})`);
+
+            updateTabStops();
+
+            // Push the (possibly copied) data down to the children that use it;
+            // circles already drawn grow or shrink to their new size
+            const circles = nodeGroups.select('.node-circle')
+                .attr('fill', d => d.gradient);
+            circles.filter(function () { return !this.hasAttribute('r'); })
+                .attr('r', d => d.radius);
+            circles.filter(function () { return this.hasAttribute('r'); })
+                .transition('radius').duration(motion(600))
+                .attr('r', d => d.radius);
+            nodeGroups.select('.count-text').call(updateCountText);
+            nodeGroups.select('.node-text').each(function (d) {
+                const label = labelFor(d);
+                d3.select(this)
+                    .attr('x', label.x)
+                    .attr('transform', label.rotate ? `rotate(${label.rotate})` : null)
+                    .attr('text-anchor', label.anchor)
+                    .attr('fill', label.fill)
+                    .text(label.text);
+            });
+
+            // Count bubbles will be drawn after the layout settles
+            // drawCountBubbles(nodeGroups.filter(d => !d.hasChildren && d.value));
+        }
+
+        function drawCountBubbles(leafNodes) {
+            leafNodes.each(function (d) {
+                // Calculate angle from parent to this node
+                // Then extend bubble in the opposite direction (away from parent)
+                const dx = d.x - (d.parentX || 0);
+                const dy = d.y - (d.parentY || 0);
+                const angle = Math.atan2(dy, dx); // Angle from parent to node
+
+                // Position bubble along the line extending away from parent
+                const offset = d.radius + 18;
+                const bubbleX = Math.cos(angle) * offset;
+                const bubbleY = Math.sin(angle) * offset;
+
+                // Edge of node along the same line
+                const nodeEdgeX = Math.cos(angle) * d.radius;
+                const nodeEdgeY = Math.sin(angle) * d.radius;
+
+                const group = d3.select(this);
+
+                // Connecting line from node edge to bubble
+                group.append('line')
+                    .attr('class', 'count-link')
+                    .attr('x1', nodeEdgeX)
+                    .attr('y1', nodeEdgeY)
+                    .attr('x2', bubbleX)
+                    .attr('y2', bubbleY)
+                    .attr('stroke', config.colors.bubble)
+                    .attr('stroke-width', 1.5)
+                    .attr('opacity', 0.4);
+
+                // Bubble position (relative to node)
+                const bubble = group.append('g')
+                    .attr('class', 'count-bubble')
+                    .attr('transform', `translate(${bubbleX},${bubbleY})`);
+
+                bubble.append('circle')
+                    .attr('r', config.bubbleRadius)
+                    .attr('fill', config.colors.bubble);
+
+                bubble.append('text')
+                    .attr('class', 'count-text')
+                    .attr('text-anchor', 'middle')
+                    .attr('dy', '0.35em')
+                    .attr('fill', theme.nodeText)
+                    .style('font-size', '10px')
+                    .style('font-weight', 600)
+                    .style('pointer-events', 'none')
+                    .text(bubbleText(d));
+            });
+        }
+
+        function updateParentPositions(nodes, links) {
+            // Update parent positions for all nodes based on links
+            const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+            links.forEach(link => {
+                const targetNode = nodeMap.get(link.target.id || link.target);
+                const sourceNode = nodeMap.get(link.source.id || link.source);
+                if (targetNode && sourceNode) {
+                    targetNode.parentX = sourceNode.x;
+                    targetNode.parentY = sourceNode.y;
+                }
+            });
+        }
+
+        function ticked(nodes, links) {
+            requestMinimapDraw();
+            if (canvasMode) {
+                hitIndex = null;
+                requestCanvasDraw();
+                return;
+            }
+
+            linkLayer.selectAll('.link:not(.exiting)')
+                .attr('x1', d => d.source.x)
+                .attr('y1', d => d.source.y)
+                .attr('x2', d => d.target.x)
+                .attr('y2', d => d.target.y);
+
+            relationLayer.selectAll('.relation:not(.exiting)')
+                .attr('d', d => relationLine(d.route));
+
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .attr('transform', d => `translate(${d.x},${d.y})`);
+        }
+
+        // Show bubble if: it's a leaf with value, OR it has aggregated value (hidden children)
+        function hasCountBubble(d) {
+            return d.value && (!d.hasChildren || d.hasAggregatedValue);
+        }
+
+        // Bubble and node edge positions (relative to the node), on the line away from the
+        // parent (force layout) or the centre (radial layout)
+        function bubbleGeometry(d) {
+            const angle = d.angle != null ? d.angle : Math.atan2(d.y - (d.parentY || 0), d.x - (d.parentX || 0));
+            const offset = d.radius + 18;
+            return {
+                bubbleX: Math.cos(angle) * offset,
+                bubbleY: Math.sin(angle) * offset,
+                nodeEdgeX: Math.cos(angle) * d.radius,
+                nodeEdgeY: Math.sin(angle) * d.radius
+            };
+        }
+
+        // Label text and placement relative to the node, shared by both renderers.
+        // In the radial layout outer nodes are labelled outwards along their angle,
+        // past the count bubble, and the others are shortened to fit their circle
+        function labelFor(d) {
+            const fontSize = [18, 13, 10, 9][Math.min(d.depth, 3)];
+            const label = { text: d.name, x: 0, rotate: 0, anchor: 'middle', fill: theme.nodeText, fontSize };
+            if (d.depth === 0) return Object.assign(label, { text: rootLabels(d).title });
+            if (config.layout === 'force' || d.angle == null) return label;
+            if (!d.outer) return Object.assign(label, { text: fitText(d.name, fontSize, 2 * d.radius - 6) });
+
+            const flip = Math.cos(d.angle) < 0; // Keep text upright on the left half
+            const offset = d.radius + (hasCountBubble(d) ? 18 + 2 * config.bubbleRadius : 0) + 4;
+            return Object.assign(label, {
+                x: flip ? -offset : offset,
+                rotate: d.angle * 180 / Math.PI + (flip ? 180 : 0),
+                anchor: flip ? 'end' : 'start',
+                fill: theme.accent
+            });
+        }
+
+        function redrawCountBubbles(nodes) {
+            // The canvas paints bubbles on every frame
+            if (canvasMode) {
+                requestCanvasDraw();
+                return;
+            }
+
+            // Get leaf nodes and nodes with aggregated values (whose children are hidden)
+            const leafIds = new Set(nodes.filter(hasCountBubble).map(d => d.id));
+            let entering = 0; // Stagger index for newly added bubbles
+
+            // Update bubbles in place; add or remove only those that changed
+            nodeLayer.selectAll('.node:not(.exiting)').each(function (d) {
+                const node = d3.select(this);
+
+                if (!leafIds.has(d.id)) {
+                    node.selectAll('.count-bubble, .count-link').remove();
+                    return;
+                }
+
+                // Angle from parent to this node using updated positions
+                const { bubbleX, bubbleY, nodeEdgeX, nodeEdgeY } = bubbleGeometry(d);
+
+                if (!node.select('.count-bubble').empty()) {
+                    node.select('.count-link')
+                        .transition().duration(300)
+                        .attr('x1', nodeEdgeX)
+                        .attr('y1', nodeEdgeY)
+                        .attr('x2', bubbleX)
+                        .attr('y2', bubbleY);
+                    node.select('.count-bubble')
+                        .transition().duration(300)
+                        .attr('transform', `translate(${bubbleX},${bubbleY}) scale(1)`)
+                        .style('opacity', 1);
+                    node.select('.count-bubble circle').attr('fill', bubbleColor(d));
+                    node.select('.count-text').call(updateCountText);
+                    return;
+                }
+
+                const delay = entering++ * 30;
+
+                // Connecting line with animation
+                node.append('line')
+                    .attr('class', 'count-link')
+                    .attr('x1', nodeEdgeX)
+                    .attr('y1', nodeEdgeY)
+                    .attr('x2', nodeEdgeX) // Start at node edge
+                    .attr('y2', nodeEdgeY)
+                    .attr('stroke', config.colors.bubble)
+                    .attr('stroke-width', 0)
+                    .attr('opacity', 0)
+                    .transition()
+                    .duration(motion(500))
+                    .delay(motion(delay + 100)) // Slight delay after bubble starts
+                    .attr('x2', bubbleX) // Grow to bubble position
+                    .attr('y2', bubbleY)
+                    .attr('stroke-width', 1.5)
+                    .attr('opacity', 0.4);
+
+                // Bubble with scale animation
+                const bubble = node.append('g')
+                    .attr('class', 'count-bubble')
+                    .attr('transform', `translate(${bubbleX},${bubbleY}) scale(0)`) // Start at scale 0
+                    .style('opacity', 0);
+
+                bubble.append('circle')
+                    .attr('r', config.bubbleRadius)
+                    .attr('fill', bubbleColor(d));
+
+                bubble.append('text')
+                    .attr('class', 'count-text')
+                    .attr('text-anchor', 'middle')
+                    .attr('dy', '0.35em')
+                    .attr('fill', theme.nodeText)
+                    .style('font-size', '10px')
+                    .style('font-weight', 600)
+                    .style('pointer-events', 'none')
+                    .call(updateCountText);
+
+                // Animate bubble growth with elastic easing (skipped for reduced motion)
+                bubble.transition()
+                    .duration(motion(600))
+                    .delay(motion(delay)) // Stagger animation
+                    .ease(d3.easeElasticOut.amplitude(1).period(0.4))
+                    .attr('transform', `translate(${bubbleX},${bubbleY}) scale(1)`)
+                    .style('opacity', 1);
+            });
+        }
+
+        // Helper functions for tree path finding (over the visible nodes)
+        function getAncestors(nodeId) {
+            const other = otherNodes.get(nodeId);
+            const ids = other ? [other.parentId, ...nodeIndex.ancestors(other.parentId)] : nodeIndex.ancestors(nodeId);
+            return ids.filter(id => visibleById.has(id));
+        }
+
+        function getDescendants(nodeId) {
+            const node = visibleById.get(nodeId);
+            if (!node || !node.hasChildren) return [];
+            return nodeIndex.descendants(nodeId, id => visibleById.has(id));
+        }
+
+        function getTreePath(nodeId) {
+            const ancestors = getAncestors(nodeId);
+            const descendants = getDescendants(nodeId);
+            return {
+                ancestors: ancestors,
+                descendants: descendants,
+                current: nodeId,
+                all: new Set([...ancestors, nodeId, ...descendants])
+            };
+        }
+
+        function handleHover(event, data, enter) {
+            const node = nodeLayer.selectAll('.node:not(.exiting)').filter(d => d.id === data.id);
+            node.raise();
+
+            node.select('.node-circle')
+                .transition().duration(200)
+                .attr('r', enter ? data.radius * 1.15 : data.radius)
+                .style('filter', nodeGlow(data, enter ? 'active' : null));
+
+            // Scale text on hover
+            node.selectAll('.node-text')
+                .transition().duration(200)
+                .style('font-size', function () {
+                    const currentSize = parseFloat(d3.select(this).style('font-size'));
+                    return enter ? (currentSize * 1.1) + 'px' : null;
+                });
+
+            // Scale count bubbles
+            node.selectAll('.count-bubble')
+                .transition().duration(200)
+                .attr('transform', function () {
+                    const currentTransform = d3.select(this).attr('transform');
+                    const match = currentTransform.match(/translate\(([-\d.]+),([-\d.]+)\)/);
+                    if (match) {
+                        const x = parseFloat(match[1]);
+                        const y = parseFloat(match[2]);
+                        return `translate(${x},${y}) scale(${enter ? 1.15 : 1})`;
+                    }
+                    return currentTransform;
+                });
+
+            node.selectAll('.count-link')
+                .transition().duration(200)
+                .attr('opacity', enter ? 0.8 : 0.4)
+                .attr('stroke-width', enter ? 2 : 1.5);
+
+            if (enter) {
+                // Get tree path (ancestors + current + descendants)
+                const treePath = getTreePath(data.id);
+                setHighlight({ ids: treePath.all, matches: new Set(), current: data.id });
+
+                // Get zoom transform to adjust tooltip position
+                const transform = d3.zoomTransform(svg.node());
+                const [x, y] = transform.apply([data.x, data.y]);
+                const screenPos = svg.node().getBoundingClientRect();
+
+                // Keyboard events have no pointer position: anchor on the node instead
+                const pageX = event && event.pageX != null ? event.pageX : screenPos.left + window.scrollX + x;
+                const pageY = event && event.pageY != null ? event.pageY : screenPos.top + window.scrollY + y;
+
+                renderTooltip(data);
+                tooltip
+                    .classed('show', true)
+                    .style('left', (pageX + 15) + 'px')
+                    .style('top', (pageY - 15) + 'px');
+
+                // Highlight tree path nodes
+                nodeLayer.selectAll('.node:not(.exiting)')
+                    .transition().duration(200)
+                    .style('opacity', d => treePath.all.has(d.id) ? 1 : 0.2)
+                    .select('.node-circle')
+                    .style('filter', d => nodeGlow(d, d.id === data.id ? 'active' : treePath.all.has(d.id) ? 'path' : null));
+
+                // Highlight tree path links
+                linkLayer.selectAll('.link:not(.exiting)')
+                    .transition().duration(200)
+                    .style('opacity', l => {
+                        const sourceId = l.source.id || l.source;
+                        const targetId = l.target.id || l.target;
+                        const sourceInPath = treePath.all.has(sourceId);
+                        const targetInPath = treePath.all.has(targetId);
+                        return (sourceInPath && targetInPath) ? 0.9 : 0.1;
+                    })
+                    .attr('stroke-width', l => {
+                        const sourceId = l.source.id || l.source;
+                        const targetId = l.target.id || l.target;
+                        const sourceInPath = treePath.all.has(sourceId);
+                        const targetInPath = treePath.all.has(targetId);
+                        return (sourceInPath && targetInPath) ? 3 : 1.5;
+                    });
+            } else {
+                tooltip.classed('show', false);
+                restoreHighlight();
+            }
+
+            dispatch.call('hover', instance, data, enter);
+        }
+
+        // Back to the resting state: plain, or the search or selection highlight
+        function restoreHighlight() {
+            if (searchMatches.length > 0) {
+                highlightSearch();
+                return;
+            }
+
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .classed('search-match', false)
+                .classed('search-current', false);
+
+            if (selectedIds.size > 0) {
+                highlightSelection();
+                return;
+            }
+
+            setHighlight(null);
+
+            // Reset all nodes
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .transition().duration(200)
+                .style('opacity', 1)
+                .select('.node-circle')
+                .style('filter', d => nodeGlow(d));
+
+            // Reset all links
+            linkLayer.selectAll('.link:not(.exiting)')
+                .transition().duration(200)
+                .style('opacity', 0.3)
+                .attr('stroke-width', d => d.type === 'primary' ? 2.5 : 1.5);
+        }
+
+        // ------------------------------------------------------------------
+        // Canvas rendering
+        // ------------------------------------------------------------------
+
+        // The SVG stays on top (transparent) for zoom/pan and pointer events;
+        // hits are resolved against the node positions instead of elements
+        svg.on('mousemove.canvas', event => {
+            if (!canvasMode) return;
+            const hit = canvasNodeAt(event);
+            svg.style('cursor', hit ? 'pointer' : null);
+            if ((hit && hit.id) === canvasHoverId) return;
+
+            const previous = visibleById.get(canvasHoverId);
+            canvasHoverId = hit ? hit.id : null;
+            if (previous) handleHover(event, previous, false);
+            if (hit) handleHover(event, hit, true);
+            requestCanvasDraw();
+        })
+            .on('mouseleave.canvas', event => {
+                if (!canvasMode || !canvasHoverId) return;
+                const previous = visibleById.get(canvasHoverId);
+                canvasHoverId = null;
+                svg.style('cursor', null);
+                if (previous) handleHover(event, previous, false);
+                requestCanvasDraw();
+            })
+            .on('click.canvas', event => {
+                if (!canvasMode) return;
+                const hit = canvasNodeAt(event);
+                if (hit) handleNodeClick(event, hit);
+            })
+            .on('dblclick.canvas', event => {
+                if (!canvasMode) return;
+                const hit = canvasNodeAt(event);
+                if (hit) handleNodeDblclick(event, hit);
+            });
+
+        function setCanvasMode(enabled) {
+            if (enabled === canvasMode) return;
+            canvasMode = enabled;
+            canvasHoverId = null;
+            hitIndex = null;
+            svg.style('cursor', null);
+
+            if (enabled) {
+                // Hand over from the SVG elements
+                linkLayer.selectAll('*').interrupt().remove();
+                relationLayer.selectAll('*').interrupt().remove();
+                nodeLayer.selectAll('*').interrupt().remove();
+                sizeCanvas();
+            } else if (canvasFrame) {
+                cancelAnimationFrame(canvasFrame);
+                canvasFrame = null;
+            }
+            canvas.style('display', enabled ? null : 'none');
+        }
+
+        // Match the SVG's box, at device resolution
+        function sizeCanvas() {
+            const ratio = window.devicePixelRatio || 1;
+            const hostBox = host.node().getBoundingClientRect();
+            const svgBox = svg.node().getBoundingClientRect();
+            canvas
+                .attr('width', Math.round(config.width * ratio))
+                .attr('height', Math.round(config.height * ratio))
+                .style('width', `${config.width}px`)
+                .style('height', `${config.height}px`)
+                .style('left', `${svgBox.left - hostBox.left - host.node().clientLeft}px`)
+                .style('top', `${svgBox.top - hostBox.top - host.node().clientTop}px`);
+        }
+
+        // Paint at most once per frame, however many ticks/zoom events arrive
+        function requestCanvasDraw() {
+            if (!canvasMode || canvasFrame) return;
+            canvasFrame = requestAnimationFrame(() => {
+                canvasFrame = null;
+                const context = canvas.node().getContext('2d');
+                if (!context) return;
+                const ratio = window.devicePixelRatio || 1;
+                context.setTransform(1, 0, 0, 1, 0, 0);
+                context.clearRect(0, 0, canvas.node().width, canvas.node().height);
+                paintCanvas(context, ratio);
+            });
+        }
+
+        // Path/search highlight for the renderers that are not styled through SVG classes
+        function setHighlight(value) {
+            highlight = value;
+            requestCanvasDraw();
+            highlightView();
+        }
+
+        // Topmost node under the pointer, if any
+        function canvasNodeAt(event) {
+            const [px, py] = d3.zoomTransform(svg.node()).invert(d3.pointer(event, svg.node()));
+            if (!hitIndex) hitIndex = d3.quadtree(allNodes, d => d.x, d => d.y);
+            const reach = (d3.max(allNodes, d => d.radius) || 0) * 1.15;
+
+            // Visit only the quadrants within the largest radius of the pointer
+            let hit = null;
+            hitIndex.visit((quad, x0, y0, x1, y1) => {
+                if (!quad.length) {
+                    do {
+                        const d = quad.data;
+                        const radius = d.id === canvasHoverId ? d.radius * 1.15 : d.radius;
+                        if (Math.hypot(d.x - px, d.y - py) <= radius && (!hit || d.depth > hit.depth)) hit = d;
+                    } while ((quad = quad.next));
+                }
+                return x0 > px + reach || x1 < px - reach || y0 > py + reach || y1 < py - reach;
+            });
+            return hit;
+        }
+
+        // Draw the visible network in the current zoom frame, `scale` device pixels per CSS pixel
+        function paintCanvas(context, scale) {
+            const transform = d3.zoomTransform(svg.node());
+            const fontFamily = window.getComputedStyle(svg.node()).fontFamily;
+            const lit = id => !highlight || highlight.ids.has(id);
+
+            context.save();
+            context.setTransform(scale, 0, 0, scale, 0, 0);
+            context.translate(transform.x, transform.y);
+            context.scale(transform.k, transform.k);
+
+            visibleLinks.forEach(l => {
+                const inPath = highlight && lit(l.source.id) && lit(l.target.id);
+                context.globalAlpha = (highlight ? (inPath ? 0.9 : 0.1) : 0.3) * (l.target.facetMatch === false ? 0.3 : 1);
+                context.strokeStyle = config.colors.links[l.type === 'primary' ? 0 : 1];
+                context.lineWidth = inPath ? 3 : l.type === 'primary' ? 2.5 : 1.5;
+                context.beginPath();
+                context.moveTo(l.source.x, l.source.y);
+                context.lineTo(l.target.x, l.target.y);
+                context.stroke();
+            });
+
+            const relationWidth = relationWidthScale();
+            const relationPath = d3.line().curve(d3.curveBundle.beta(config.relationBundling)).context(context);
+            visibleRelations().forEach(d => {
+                context.globalAlpha = 0.45; // As .relation in style.css
+                context.strokeStyle = config.colors.relations;
+                context.lineWidth = relationWidth(d.relation.weight);
+                context.beginPath();
+                relationPath(d.route.map(node => [node.x, node.y]));
+                context.stroke();
+            });
+
+            // The hovered node goes on top, as raise() does for SVG
+            const hovered = visibleById.get(canvasHoverId);
+            const nodes = hovered ? allNodes.filter(d => d !== hovered).concat(hovered) : allNodes;
+
+            nodes.forEach(d => {
+                const radius = d === hovered ? d.radius * 1.15 : d.radius;
+                const matched = highlight && highlight.matches.has(d.id);
+                context.globalAlpha = (lit(d.id) ? 1 : 0.2) * (d.facetMatch === false ? 0.3 : 1);
+
+                if (hasCountBubble(d)) {
+                    const { bubbleX, bubbleY, nodeEdgeX, nodeEdgeY } = bubbleGeometry(d);
+                    const alpha = context.globalAlpha;
+                    context.globalAlpha = alpha * (d === hovered ? 0.8 : 0.4);
+                    context.strokeStyle = config.colors.bubble;
+                    context.lineWidth = d === hovered ? 2 : 1.5;
+                    context.beginPath();
+                    context.moveTo(d.x + nodeEdgeX, d.y + nodeEdgeY);
+                    context.lineTo(d.x + bubbleX, d.y + bubbleY);
+                    context.stroke();
+
+                    context.globalAlpha = alpha;
+                    context.fillStyle = bubbleColor(d);
+                    context.beginPath();
+                    context.arc(d.x + bubbleX, d.y + bubbleY, config.bubbleRadius, 0, 2 * Math.PI);
+                    context.fill();
+                    // Skip text that would be unreadably small at this zoom
+                    if (10 * transform.k >= 5) {
+                        paintText(context, bubbleText(d), d.x + bubbleX, d.y + bubbleY, `600 10px ${fontFamily}`);
+                    }
+                }
+
+                // Glow only where SVG makes it stand out, shadows are expensive on canvas
+                const glow = d === hovered || matched || (highlight && highlight.current === d.id) ? 20 :
+                    d.depth === 0 ? 15 : 0;
+                context.shadowBlur = glow * scale;
+                context.shadowColor = d.depth === 0 && glow === 15 ? theme.glowRoot : theme.glowActive;
+
+                if (d.gradient.startsWith('url(')) {
+                    const gradient = context.createRadialGradient(d.x, d.y, 0, d.x, d.y, radius);
+                    gradient.addColorStop(0, d.color);
+                    gradient.addColorStop(1, d3.color(d.color).darker(0.5).toString());
+                    context.fillStyle = gradient;
+                } else {
+                    context.fillStyle = d.gradient;
+                }
+                context.beginPath();
+                context.arc(d.x, d.y, radius, 0, 2 * Math.PI);
+                context.fill();
+                context.shadowBlur = 0;
+
+                if (d.collapsed || matched) {
+                    context.setLineDash(d.collapsed && !matched ? [5, 4] : []);
+                    context.strokeStyle = matched ? theme.accent : theme.nodeStroke;
+                    context.lineWidth = matched ? (highlight.current === d.id ? 4 : 2) : 3;
+                    context.stroke();
+                    context.setLineDash([]);
+                }
+
+                const label = labelFor(d);
+                const fontSize = label.fontSize * (d === hovered ? 1.1 : 1);
+                if (fontSize * transform.k < 5) return;
+                const font = `${d.hasChildren ? 600 : 500} ${fontSize}px ${fontFamily}`;
+                if (d.depth === 0) {
+                    paintText(context, label.text, d.x, d.y - 10, font, 'alphabetic');
+                    paintText(context, rootLabels(d).subtitle, d.x, d.y + 12, `12px ${fontFamily}`, 'alphabetic');
+                } else {
+                    context.save();
+                    context.translate(d.x, d.y);
+                    context.rotate(label.rotate * Math.PI / 180);
+                    paintText(context, label.text, label.x, 0, font, 'middle', label.anchor, label.fill);
+                    context.restore();
+                }
+            });
+
+            context.restore();
+        }
+
+        function paintText(context, text, x, y, font, baseline = 'middle', anchor = 'middle', fill = theme.nodeText) {
+            context.font = font;
+            context.fillStyle = fill;
+            context.textAlign = anchor === 'middle' ? 'center' : anchor;
+            context.textBaseline = baseline;
+            context.fillText(text, x, y);
+        }
+
+        // ------------------------------------------------------------------
+        // Value encodings
+        // ------------------------------------------------------------------
+
+        let encodings = null; // Scales for the current data, see buildEncodings()
+
+        // Radius and colour functions (of hierarchy nodes) for the sizeBy/colorBy options
+        // Domains are taken over `extentRoots` (every period of a time series)
+        function buildEncodings(root, extentRoots = [root]) {
+            const nodes = extentRoots.flatMap(r => r.descendants()).filter(d => d.depth > 0);
+
+            // Area proportional to value, up to the depth's nodeSize
+            const sizeScales = new Map();
+            if (config.sizeBy === 'value') {
+                const groups = config.sizeScale === 'global' ? new Map([['all', nodes]]) : d3.group(nodes, d => d.depth);
+                groups.forEach((list, key) => sizeScales.set(key, d3.scaleSqrt()
+                    .domain([0, d3.max(list, d => d.value) || 1])
+                    .range([0, d3.max(list, config.nodeSize)])));
+            }
+            const sizeScaleOf = d => sizeScales.get(config.sizeScale === 'global' ? 'all' : d.depth);
+
+            let colorScale = null;
+            const leafValues = nodes.filter(d => !d.children).map(d => d.value || 0);
+            if (config.colorBy === 'value' && leafValues.length) {
+                colorScale = config.colorScale === 'diverging' ?
+                    d3.scaleDivergingSqrt(config.colors.diverging)
+                        .domain([d3.min(leafValues), d3.median(leafValues), d3.max(leafValues)]) :
+                    d3.scaleSequentialSqrt(config.colors.sequential)
+                        .domain([0, d3.max(leafValues) || 1]);
+            }
+
+            return {
+                sizeScales,
+                colorScale,
+                total: root.value || 0,
+                // Never below 4px, so that every node can still be hovered
+                radius: d => d.depth > 0 && sizeScaleOf(d) ? Math.max(4, sizeScaleOf(d)(d.value || 0)) : config.nodeSize(d),
+                color: d => colorScale && !d.children ? colorScale(d.value || 0) : config.colors.gradients[Math.min(d.depth, 3)]
+            };
+        }
+
+        // Share of the parent's value and of the whole data's value. While a facet is set,
+        // matching nodes are compared with the totals of the matching leaves
+        function sharesOf(node) {
+            const parent = nodeIndex.get(node.parentId);
+            const matched = facetResult && (facetResult.matching.has(node.id) || node.facetMatch === true);
+            const valueOf = matched ? currentValue : d => d.value || 0;
+            const total = matched ? currentValue(nodeIndex.roots[0]) : encodings && encodings.total;
+            return {
+                parent: parent && valueOf(parent) ? valueOf(node) / valueOf(parent) : null,
+                total: total ? valueOf(node) / total : null
+            };
+        }
+
+        function bubbleText(d) {
+            if (config.bubbleLabel === 'delta') {
+                const change = changeOf(d);
+                return change === undefined ? formatNumber(d.value) : formatChange(change);
+            }
+            const share = config.bubbleLabel === 'count' ? null : sharesOf(d)[config.bubbleLabel];
+            return share == null ? formatNumber(d.value) : formatShare(share);
+        }
+
+        const shownCount = d3.local(); // Value a count text shows, to count from it to the next one
+
+        // Counts roll from the previous value to the new one; other labels are swapped
+        function updateCountText(selection) {
+            selection.each(function (d) {
+                const text = d3.select(this);
+                const from = shownCount.get(this);
+                shownCount.set(this, d.value);
+                if (config.bubbleLabel !== 'count' || from == null || from === d.value || !motion(600)) {
+                    text.interrupt('count').text(bubbleText(d));
+                    return;
+                }
+                const value = d3.interpolateRound(from, d.value || 0);
+                text.transition('count').duration(motion(600))
+                    .textTween(() => t => formatNumber(value(t)));
+            });
+        }
+
+        const legendPanel = resolvePanel(options.legend, host, 'network-legend');
+
+        // Explain whichever value encodings are switched on; empty otherwise
+        function updateLegend() {
+            if (!legendPanel) return;
+            legendPanel.html('');
+            const sized = encodings.sizeScales.size > 0;
+            if (!sized && !encodings.colorScale && config.bubbleLabel === 'count') return;
+
+            legendPanel.append('h3').text(t('legend'));
+
+            if (sized) {
+                const section = legendSection(t(config.sizeScale === 'global' ? 'legendSize' : 'legendSizePerLevel'));
+                encodings.sizeScales.forEach((scale, key) => {
+                    const max = scale.domain()[1];
+                    const radius = scale.range()[1];
+                    const row = section.append('div').attr('class', 'network-legend-row');
+                    if (key !== 'all') row.append('span').text(levelLabel(key));
+
+                    // Nested circles at the full, a quarter and a sixteenth of the largest value
+                    const sample = row.append('svg')
+                        .attr('width', radius * 2 + 50)
+                        .attr('height', radius * 2 + 2)
+                        .append('g')
+                        .attr('transform', `translate(${radius + 1},${radius * 2 + 1})`);
+                    [max, max / 4, max / 16].forEach(value => {
+                        const r = scale(value);
+                        sample.append('circle')
+                            .attr('cy', -r)
+                            .attr('r', r);
+                        sample.append('text')
+                            .attr('x', radius + 6)
+                            .attr('y', -2 * r)
+                            .attr('dy', '0.35em')
+                            .text(formatNumber(Math.round(value)));
+                    });
+                });
+            }
+
+            if (encodings.colorScale) {
+                const scale = encodings.colorScale;
+                const section = legendSection(t(config.colorScale === 'diverging' ? 'legendColorDiverging' : 'legendColor'));
+                const width = 180;
+                // Same scale with an identity interpolator: where each value sits along the bar
+                const position = scale.copy().interpolator(t => t);
+                const bar = section.append('svg').attr('width', width).attr('height', 30);
+                const gradientId = `${uid}-legend-gradient`;
+
+                bar.append('defs').append('linearGradient')
+                    .attr('id', gradientId)
+                    .selectAll('stop')
+                    .data(d3.range(11).map(i => i / 10))
+                    .join('stop')
+                    .attr('offset', t => `${t * 100}%`)
+                    .attr('stop-color', t => scale.interpolator()(t));
+                bar.append('rect')
+                    .attr('width', width)
+                    .attr('height', 12)
+                    .attr('fill', `url(#${gradientId})`);
+                bar.selectAll('text')
+                    .data(scale.domain())
+                    .join('text')
+                    .attr('x', value => position(value) * width)
+                    .attr('y', 26)
+                    .attr('text-anchor', (value, i, all) => i === 0 ? 'start' : i === all.length - 1 ? 'end' : 'middle')
+                    .text(value => formatNumber(Math.round(value)));
+            }
+
+            if (config.bubbleLabel === 'delta') {
+                legendSection(t('legendDelta'));
+            } else if (config.bubbleLabel !== 'count') {
+                legendSection(t(config.bubbleLabel === 'parent' ? 'legendShareParent' : 'legendShareTotal'));
+            }
+        }
+
+        function legendSection(title) {
+            const section = legendPanel.append('div').attr('class', 'network-legend-section');
+            section.append('div').attr('class', 'network-legend-title').text(title);
+            return section;
+        }
+
+        // ------------------------------------------------------------------
+        // Tooltip
+        // ------------------------------------------------------------------
+
+        // Keys of the source objects that describe the hierarchy rather than the node
+        const structuralFields = new Set(['name', 'value', 'children', 'id', 'type', 'declaredValue', 'title', 'subtitle']);
+
+        // Everything the tooltip can show about `node`. Raw values sit at the top level;
+        // `text` holds the same values formatted for display, which is what templates use
+        function tooltipInfo(node) {
+            const path = [...getAncestorNames(node), node.name];
+            const parent = nodeIndex.get(node.parentId);
+            const shares = sharesOf(node);
+            const siblings = parent ? nodeIndex.children(parent.id) : [node];
+            const rank = 1 + siblings.filter(sibling => currentValue(sibling) > currentValue(node)).length;
+            const descendants = nodeIndex.descendants(node.id).length;
+            const change = changeOf(node);
+
+            const fields = {};
+            Object.keys(node.data || {}).forEach(key => {
+                const value = node.data[key];
+                if (structuralFields.has(key) || value == null || typeof value === 'object' && !(value instanceof Date)) return;
+                fields[key] = value;
+            });
+
+            return {
+                node,
+                data: node.data,
+                name: node.name,
+                value: node.value,
+                path,
+                parent: parent ? parent.name : null,
+                shareOfParent: shares.parent,
+                shareOfTotal: shares.total,
+                rank: parent ? rank : null,
+                siblings: siblings.length,
+                descendants,
+                period: series ? series.periods[periodIndex] : null,
+                change: change === undefined ? null : change,
+                fields,
+                text: {
+                    name: node.name,
+                    value: formatNumber(node.value || 0),
+                    path: path.join(' › '),
+                    parent: parent ? parent.name : '',
+                    shareOfParent: shares.parent != null ? formatShare(shares.parent) : '',
+                    shareOfTotal: shares.total != null ? formatShare(shares.total) : '',
+                    rank: parent ? t('rankShort', { rank: formatValue(rank), count: formatValue(siblings.length) }) : '',
+                    descendants: formatValue(descendants),
+                    period: series ? series.periods[periodIndex] : '',
+                    change: change === undefined ? '' : formatChange(change),
+                    fields: Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, formatField(value)]))
+                }
+            };
+        }
+
+        function formatField(value) {
+            if (typeof value === 'number') return formatValue(value);
+            if (value instanceof Date) return value.toLocaleDateString(locale);
+            return String(value);
+        }
+
+        // Fill the tooltip for `node`. A tooltipContent string is a template whose
+        // placeholders are escaped; a function may return a DOM node, plain text
+        // (escaped) or { html } to opt into raw markup
+        function renderTooltip(node) {
+            const info = tooltipInfo(node);
+            const content = config.tooltipContent;
+            tooltip.html('');
+
+            if (typeof content === 'string') {
+                tooltip.html(fillTemplate(content, info));
+            } else if (typeof content === 'function') {
+                const result = content(info);
+                if (result instanceof Node) tooltip.node().appendChild(result);
+                else if (result && result.html != null) tooltip.html(result.html);
+                else tooltip.text(result == null ? '' : String(result));
+            } else {
+                defaultTooltip(info);
+            }
+        }
+
+        // Name, path, value, shares, rank, descendants and extra data fields
+        function defaultTooltip(info) {
+            const text = info.text;
+            if (info.path.length > 1) {
+                tooltip.append('div').attr('class', 'tooltip-path').text(info.path.slice(0, -1).join(' › '));
+            }
+            tooltip.append('div').attr('class', 'tooltip-title').text(info.name);
+            if (info.value) tooltip.append('div').attr('class', 'tooltip-count').text(t('count', { value: text.value }));
+
+            const details = [];
+            if (config.showShares && info.value) {
+                if (info.shareOfParent != null) details.push(t('shareOfParent', { share: text.shareOfParent, parent: info.parent }));
+                if (info.shareOfTotal != null && info.node.depth > 1) details.push(t('shareOfTotal', { share: text.shareOfTotal }));
+            }
+            if (text.change) details.push(t('changeSince', { change: text.change, period: series.periods[periodIndex - 1] }));
+            if (info.rank != null && info.siblings > 1) {
+                details.push(t('rank', { rank: formatValue(info.rank), count: formatValue(info.siblings), parent: info.parent }));
+            }
+            if (info.descendants) details.push(t('descendants', { count: info.descendants, value: text.descendants }));
+            tooltip.selectAll('.tooltip-detail')
+                .data(details)
+                .join('div')
+                .attr('class', 'tooltip-detail')
+                .text(d => d);
+
+            const fields = Object.keys(text.fields);
+            if (fields.length) {
+                const list = tooltip.append('dl').attr('class', 'tooltip-fields');
+                fields.forEach(key => {
+                    list.append('dt').text(key);
+                    list.append('dd').text(text.fields[key]);
+                });
+            }
+        }
+
+        // ------------------------------------------------------------------
+        // Views
+        // ------------------------------------------------------------------
+
+        let currentView = views.includes(config.view) ? config.view : 'network';
+        let viewCentroids = new Map(); // Node id -> [x, y] in the current view, for zooming to nodes
+
+        const viewPanel = resolvePanel(options.viewSwitcher, host, 'view-switcher');
+        if (viewPanel) buildViewSwitcher();
+
+        function buildViewSwitcher() {
+            viewPanel.html('');
+            viewPanel.append('h3').text(t('view'));
+            viewPanel.append('div')
+                .attr('class', 'view-switcher-buttons')
+                .attr('role', 'group')
+                .attr('aria-label', t('viewGroup'))
+                .selectAll('button')
+                .data(views)
+                .join('button')
+                .attr('type', 'button')
+                .text(d => t(`view.${d}`))
+                .on('click', (event, d) => setView(d));
+            updateViewSwitcher();
+        }
+
+        function updateViewSwitcher() {
+            if (!viewPanel) return;
+            viewPanel.selectAll('button')
+                .classed('active', d => d === currentView)
+                .attr('aria-pressed', d => d === currentView);
+        }
+
+        function setView(name) {
+            if (!views.includes(name) || name === currentView) return;
+            currentView = name;
+            updateViewSwitcher();
+            tooltip.classed('show', false);
+            dispatch.call('view', instance, name);
+
+            // Each view is framed for the default zoom
+            resetZoom();
+            if (originalRoot) applyFilters();
+        }
+
+        // Cross-fade between the network and the other views
+        function showViewLayer() {
+            const network = currentView === 'network';
+            if (network) viewLayer.selectAll('g.view').call(fadeOutView);
+            if (networkLayer.classed('view-hidden') !== network) return;
+
+            networkLayer
+                .classed('view-hidden', !network)
+                .style('display', null)
+                .interrupt('view')
+                .style('opacity', network ? 0 : 1)
+                .transition('view')
+                .duration(motion(400))
+                .style('opacity', network ? 1 : 0)
+                .on('end', function () {
+                    // Out of the way of pointer and keyboard focus once faded out
+                    if (!network) d3.select(this).style('display', 'none');
+                });
+        }
+
+        function fadeOutView(selection) {
+            selection.interrupt('view')
+                .transition('view')
+                .duration(motion(300))
+                .style('opacity', 0)
+                .remove();
+        }
+
+        // Draw the visible tree in the current (non-network) view
+        function drawView(nodes, nodeMap) {
+            // Hidden levels are skipped: each node hangs off its nearest visible ancestor
+            const parentIds = new Map(nodes.map(node => {
+                const parent = findVisibleAncestor(node, nodeMap);
+                return [node.id, parent ? parent.id : null];
+            }));
+            const hasChildren = new Set(parentIds.values());
+            const root = d3.stratify()
+                .id(d => d.id)
+                .parentId(d => parentIds.get(d.id))(nodes)
+                // Outer nodes carry the totals of everything folded into them
+                .sum(d => hasChildren.has(d.id) ? 0 : d.value || 0)
+                .sort((a, b) => b.value - a.value);
+
+            const group = viewLayer.selectAll('g.view')
+                .data([currentView], d => d)
+                .join(
+                    enter => enter.append('g')
+                        .attr('class', d => `view view-${d}`)
+                        .style('opacity', 0)
+                        .call(view => view.transition('view').duration(motion(400)).style('opacity', 1)),
+                    update => update,
+                    exit => exit.call(fadeOutView)
+                );
+
+            viewCentroids = new Map();
+            if (currentView === 'sunburst') drawSunburst(group, root);
+            if (currentView === 'tree') drawRadialTree(group, root);
+            if (currentView === 'treemap') drawTreemap(group, root);
+            if (currentView === 'icicle') drawIcicle(group, root);
+            highlightView();
+        }
+
+        // Hover, tooltip and collapse work on the flat node behind each view element
+        function bindViewItem(selection) {
+            selection
+                .classed('view-item', true)
+                .classed('selected', d => selectedIds.has(d.id))
+                .style('cursor', 'pointer')
+                .on('mouseenter', (event, d) => handleHover(event, d.data, true))
+                .on('mouseleave', (event, d) => handleHover(event, d.data, false))
+                .on('click', (event, d) => handleNodeClick(event, d.data))
+                .on('dblclick', (event, d) => handleNodeDblclick(event, d.data));
+        }
+
+        function drawSunburst(group, root) {
+            const radius = Math.min(config.width, config.height) / 2 - 20;
+            d3.partition().size([2 * Math.PI, radius])(root);
+
+            const arc = d3.arc()
+                .startAngle(d => d.x0)
+                .endAngle(d => d.x1)
+                .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.004))
+                .padRadius(radius / 2)
+                .innerRadius(d => d.y0)
+                .outerRadius(d => Math.max(d.y0, d.y1 - 1));
+            const nodes = root.descendants();
+            nodes.forEach(d => {
+                const angle = (d.x0 + d.x1) / 2;
+                const r = d.depth ? (d.y0 + d.y1) / 2 : 0;
+                viewCentroids.set(d.id, [r * Math.sin(angle), -r * Math.cos(angle)]);
+            });
+
+            // Arcs sweep open from their start angle and tween between layouts
+            group.selectAll('path.view-item')
+                .data(nodes, d => d.id)
+                .join(
+                    enter => enter.append('path')
+                        .call(bindViewItem)
+                        .each(function (d) { this.current = { x0: d.x0, x1: d.x0, y0: d.y0, y1: d.y1 }; }),
+                    update => update,
+                    exit => exit.transition().duration(motion(300)).style('opacity', 0).remove()
+                )
+                .classed('collapsed', d => d.data.collapsed)
+                .classed('facet-dimmed', d => d.data.facetMatch === false)
+                .attr('fill', d => d.data.gradient)
+                .transition()
+                .duration(motion(600))
+                .attrTween('d', function (d) {
+                    const interpolate = d3.interpolate(this.current, { x0: d.x0, x1: d.x1, y0: d.y0, y1: d.y1 });
+                    this.current = interpolate(1);
+                    return t => arc(interpolate(t));
+                });
+
+            // Labels along the radius, where the arc is wide enough for the text height
+            const labelled = nodes.filter(d => d.depth === 0 || (d.x1 - d.x0) * (d.y0 + d.y1) / 2 > 12);
+            group.selectAll('text.view-label')
+                .data(labelled, d => d.id)
+                .join(
+                    enter => enter.append('text')
+                        .attr('class', 'view-label')
+                        .attr('text-anchor', 'middle')
+                        .attr('dy', '0.35em')
+                        .style('opacity', 0),
+                    update => update,
+                    exit => exit.remove()
+                )
+                .text(d => d.depth === 0 ? labelFor(d.data).text : fitText(d.data.name, 10, d.y1 - d.y0 - 6))
+                .transition()
+                .duration(motion(600))
+                .style('opacity', 1)
+                .attr('transform', d => {
+                    if (d.depth === 0) return null;
+                    const angle = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+                    return `rotate(${angle - 90}) translate(${(d.y0 + d.y1) / 2},0) rotate(${angle < 180 ? 0 : 180})`;
+                });
+        }
+
+        function drawRadialTree(group, root) {
+            const radius = Math.min(config.width, config.height) / 2 - 120; // Room for the labels
+            d3.tree()
+                .size([2 * Math.PI, radius])
+                .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+
+            const nodes = root.descendants();
+            const point = d => [d.y * Math.cos(d.x - Math.PI / 2), d.y * Math.sin(d.x - Math.PI / 2)];
+            nodes.forEach(d => viewCentroids.set(d.id, point(d)));
+            const link = d3.linkRadial().angle(d => d.x).radius(d => d.y);
+
+            group.selectAll('path.view-link')
+                .data(root.links(), d => d.target.id)
+                .join(
+                    enter => enter.append('path')
+                        .attr('class', 'view-link')
+                        .attr('fill', 'none')
+                        .attr('d', link)
+                        .style('opacity', 0),
+                    update => update,
+                    exit => exit.transition().duration(motion(300)).style('opacity', 0).remove()
+                )
+                .attr('stroke', d => config.colors.links[d.target.depth === 1 ? 0 : 1])
+                .attr('stroke-width', d => d.target.depth === 1 ? 2.5 : 1.5)
+                .transition()
+                .duration(motion(600))
+                .attr('d', link)
+                .style('opacity', 1);
+
+            const items = group.selectAll('g.view-item')
+                .data(nodes, d => d.id)
+                .join(
+                    enter => {
+                        const item = enter.append('g')
+                            .call(bindViewItem)
+                            .attr('transform', d => `translate(${point(d)})`)
+                            .style('opacity', 0);
+                        item.append('circle')
+                            .attr('r', d => [10, 7, 5, 4][Math.min(d.depth, 3)]);
+                        item.append('text')
+                            .attr('class', 'view-label')
+                            .attr('dy', '0.35em');
+                        item.transition('fade').duration(motion(400)).style('opacity', 1);
+                        return item;
+                    },
+                    update => update,
+                    exit => exit.transition().duration(motion(300)).style('opacity', 0).remove()
+                )
+                .classed('collapsed', d => d.data.collapsed)
+                .classed('facet-dimmed', d => d.data.facetMatch === false);
+
+            items.transition()
+                .duration(motion(600))
+                .attr('transform', d => `translate(${point(d)})`);
+
+            items.select('circle')
+                .attr('fill', d => d.data.gradient);
+
+            // Outwards along the angle, flipped on the left half to stay upright
+            items.select('text')
+                .attr('x', d => (d.x < Math.PI) === !d.children ? 8 : -8)
+                .attr('text-anchor', d => d.depth === 0 ? 'middle' : (d.x < Math.PI) === !d.children ? 'start' : 'end')
+                .attr('transform', d => d.depth === 0 ? 'translate(-8,-18)' :
+                    `rotate(${d.x * 180 / Math.PI - 90 + (d.x < Math.PI ? 0 : 180)})`)
+                .text(d => d.depth === 0 ? labelFor(d.data).text : d.data.name);
+        }
+
+        function drawTreemap(group, root) {
+            const width = config.width - 80;
+            const height = config.height - 160;
+            d3.treemap()
+                .size([width, height])
+                .paddingOuter(3)
+                .paddingTop(18)
+                .paddingInner(1)
+                .round(true)(root);
+
+            drawBoxes(group, root.descendants(), d => ({
+                x: d.x0 - width / 2,
+                y: d.y0 - height / 2,
+                width: d.x1 - d.x0,
+                height: d.y1 - d.y0
+            }));
+        }
+
+        // Horizontal icicle: the root on the left, one column per level
+        function drawIcicle(group, root) {
+            const width = config.width - 80;
+            const height = config.height - 160;
+            d3.partition().size([height, width]).padding(1)(root);
+
+            drawBoxes(group, root.descendants(), d => ({
+                x: d.y0 - width / 2,
+                y: d.x0 - height / 2,
+                width: d.y1 - d.y0,
+                height: d.x1 - d.x0
+            }));
+        }
+
+        // Rectangles for the treemap and icicle, moving between layouts
+        function drawBoxes(group, nodes, box) {
+            nodes.forEach(d => {
+                const b = box(d);
+                viewCentroids.set(d.id, [b.x + b.width / 2, b.y + b.height / 2]);
+            });
+
+            const items = group.selectAll('g.view-item')
+                .data(nodes, d => d.id)
+                .join(
+                    enter => {
+                        const item = enter.append('g')
+                            .call(bindViewItem)
+                            .attr('transform', d => `translate(${box(d).x},${box(d).y})`)
+                            .style('opacity', 0);
+                        item.append('rect')
+                            .attr('width', d => box(d).width)
+                            .attr('height', d => box(d).height);
+                        item.append('text')
+                            .attr('class', 'view-label')
+                            .attr('x', 4)
+                            .attr('y', 13);
+                        item.transition('fade').duration(motion(400)).style('opacity', 1);
+                        return item;
+                    },
+                    update => update,
+                    exit => exit.transition().duration(motion(300)).style('opacity', 0).remove()
+                )
+                .classed('collapsed', d => d.data.collapsed)
+                .classed('facet-dimmed', d => d.data.facetMatch === false);
+
+            items.transition()
+                .duration(motion(600))
+                .attr('transform', d => `translate(${box(d).x},${box(d).y})`);
+
+            items.select('rect')
+                .attr('fill', d => d.data.gradient)
+                .transition()
+                .duration(motion(600))
+                .attr('width', d => box(d).width)
+                .attr('height', d => box(d).height);
+
+            items.select('text')
+                .style('font-weight', d => d.children ? 600 : 500)
+                .text(d => {
+                    const b = box(d);
+                    return b.width > 30 && b.height > 14 ? fitText(d.data.name, 11, b.width - 8) : '';
+                });
+        }
+
+        // Dim everything off the highlighted path, outline search matches
+        function highlightView() {
+            const lit = id => !highlight || highlight.ids.has(id);
+            viewLayer.selectAll('.view-item')
+                .classed('search-match', d => !!highlight && highlight.matches.has(d.id))
+                .classed('search-current', d => !!highlight && highlight.matches.has(d.id) && highlight.current === d.id)
+                .transition('highlight')
+                .duration(200)
+                .style('opacity', d => lit(d.id) ? 1 : 0.25);
+            viewLayer.selectAll('.view-link')
+                .transition('highlight')
+                .duration(200)
+                .attr('stroke-opacity', d => lit(d.source.id) && lit(d.target.id) ? 1 : 0.25);
+        }
+
+        // Where a node is drawn in the current view
+        function positionOf(node) {
+            if (currentView === 'network') return [node.x, node.y];
+            return viewCentroids.get(node.id) || [0, 0];
+        }
+
+        // ------------------------------------------------------------------
+        // Drill-down
+        // ------------------------------------------------------------------
+
+        let drillId = null; // Node laid out as the centre instead of the root, null for the whole tree
+        let clickTimer = null;
+
+        const breadcrumbPanel = resolvePanel(options.breadcrumb, host, 'network-breadcrumb');
+        const zoomPanel = resolvePanel(options.zoomControls, host, 'zoom-controls');
+        if (zoomPanel) buildZoomControls();
+
+        // A click collapses/expands after a short wait, so that a double-click can drill down instead.
+        // Shift-click adds the node to the selection or takes it out
+        function handleNodeClick(event, d) {
+            clearTimeout(clickTimer);
+            if (event.shiftKey) {
+                toggleSelection(d);
+                return;
+            }
+            if (event.detail > 1) return;
+            clickTimer = setTimeout(() => toggleCollapse(d), 250);
+        }
+
+        function handleNodeDblclick(event, d) {
+            clearTimeout(clickTimer);
+            event.stopPropagation();
+            if (event.shiftKey) return;
+            drillDown(d);
+        }
+
+        // Make `node` the centre and lay out its subtree around it; null goes back to the whole tree
+        function drillDown(node) {
+            const id = node && node.depth > 0 && node.hasChildren ? node.id : null;
+            if (id === drillId) return;
+            drillId = id;
+            if (id) collapsedNodes.delete(id); // The centre always shows its subtree
+            activatedId = null;
+            tooltip.classed('show', false);
+            dispatch.call('drill', instance, id ? nodeIndex.get(id) : null);
+            resetZoom();
+            applyFilters();
+        }
+
+        function drillUp() {
+            const drill = drillId && nodeIndex.get(drillId);
+            if (drill) drillDown(nodeIndex.get(drill.parentId));
+        }
+
+        // Root › ... › centre, with a button for each level above the centre
+        function updateBreadcrumb() {
+            if (!breadcrumbPanel) return;
+            breadcrumbPanel.html('');
+            const drill = drillId && nodeIndex.get(drillId);
+            if (!drill) return;
+
+            const path = [];
+            for (let node = drill; node; node = nodeIndex.get(node.parentId)) path.unshift(node);
+            breadcrumbPanel.append('nav')
+                .attr('aria-label', t('drillPath'))
+                .append('ol')
+                .selectAll('li')
+                .data(path)
+                .join('li')
+                .each(function (d, i) {
+                    const item = d3.select(this);
+                    if (i === path.length - 1) {
+                        item.append('span').attr('aria-current', 'location').text(d.name);
+                    } else {
+                        item.append('button')
+                            .attr('type', 'button')
+                            .text(d.name)
+                            .on('click', () => drillDown(d));
+                    }
+                });
+        }
+
+        // Levels down to the centre cannot be hidden while drilled in; their labels show the path
+        function updateLevelLabels() {
+            if (!levelFilterPanel) return;
+            const drill = drillId && nodeIndex.get(drillId);
+            const names = new Map();
+            for (let node = drill; node; node = nodeIndex.get(node.parentId)) names.set(node.depth, node.name);
+
+            levelFilterPanel.selectAll('.category-filter-item').each(function () {
+                const depth = +this.getAttribute('data-level');
+                const levelName = levelLabel(depth);
+                const fixed = names.has(depth);
+                const item = d3.select(this).classed('fixed', fixed);
+                item.select('input').property('disabled', fixed);
+                item.select('label').text(fixed ? t('fixedLevel', { level: levelName, name: names.get(depth) }) : levelName);
+            });
+        }
+
+        function buildZoomControls() {
+            zoomPanel.html('');
+            zoomPanel.selectAll('button')
+                .data([
+                    ['zoom-in', '+', t('zoomIn'), () => zoomBy(1.5)],
+                    ['zoom-out', '−', t('zoomOut'), () => zoomBy(1 / 1.5)],
+                    ['zoom-fit', t('fitToContent'), t('fitToContentLabel'), fitToContent],
+                    ['zoom-reset', t('resetZoom'), null, resetZoom]
+                ])
+                .join('button')
+                .attr('type', 'button')
+                .attr('class', ([className]) => className)
+                .attr('aria-label', ([, , label]) => label)
+                .attr('title', ([, , label]) => label)
+                .text(([, text]) => text)
+                .on('click', (event, [, , , action]) => action());
+        }
+
+        // Back to the default frame: centred, at 100%
+        function resetZoom() {
+            svg.transition()
+                .duration(motion(750))
+                .call(zoom.transform, d3.zoomIdentity.translate(config.width / 2, config.height / 2));
+        }
+
+        // Zoom in (factor > 1) or out around the middle of the chart
+        function zoomBy(factor) {
+            svg.transition()
+                .duration(motion(300))
+                .call(zoom.scaleBy, factor);
+        }
+
+        // Frame everything that is drawn, wherever the layout (or the user's dragging) put it
+        function fitToContent() {
+            const bounds = contentBounds();
+            if (!bounds) return;
+            const [[x0, y0], [x1, y1]] = bounds;
+            const [min, max] = zoom.scaleExtent();
+            const scale = Math.max(min, Math.min(max, 0.9 * fitScale(bounds)));
+            svg.transition()
+                .duration(motion(750))
+                .call(zoom.transform, d3.zoomIdentity
+                    .translate(config.width / 2, config.height / 2)
+                    .scale(scale)
+                    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2));
+        }
+
+        // [[x0, y0], [x1, y1]] around what is drawn, in chart coordinates: the visible nodes
+        // with room for their count bubbles in the network, the view's layer otherwise
+        function contentBounds() {
+            if (currentView !== 'network') {
+                const box = viewLayer.node().getBBox();
+                return box.width && box.height ? [[box.x, box.y], [box.x + box.width, box.y + box.height]] : null;
+            }
+            if (!allNodes.length) return null;
+            const reach = d => d.radius + (hasCountBubble(d) ? 18 + 2 * config.bubbleRadius : 0);
+            return [
+                [d3.min(allNodes, d => d.x - reach(d)), d3.min(allNodes, d => d.y - reach(d))],
+                [d3.max(allNodes, d => d.x + reach(d)), d3.max(allNodes, d => d.y + reach(d))]
+            ];
+        }
+
+        // Scale at which `bounds` just fill the chart
+        function fitScale([[x0, y0], [x1, y1]]) {
+            return Math.min(config.width / Math.max(x1 - x0, 1), config.height / Math.max(y1 - y0, 1));
+        }
+
+        // Zoom limits follow the data unless scaleExtent is set: out to half the scale that
+        // fits everything (30% at least), in until the smallest node is 48px across (300% at least)
+        function updateScaleExtent() {
+            if (config.scaleExtent) return;
+            const bounds = contentBounds();
+            if (!bounds) return;
+            const smallest = d3.min(allNodes, d => d.radius) || 24;
+            zoom.scaleExtent([Math.min(0.3, fitScale(bounds) / 2), Math.max(3, 24 / smallest)]);
+        }
+
+        // ------------------------------------------------------------------
+        // Minimap
+        // ------------------------------------------------------------------
+
+        // The whole chart in miniature with the part in view outlined. It is painted on a
+        // canvas from the node positions, so it works the same for both renderers
+        const minimapPanel = resolvePanel(options.minimap, host, 'network-minimap');
+        let minimapProjection = null; // { scale, x, y }: chart coordinates to minimap pixels
+        let minimapViewport = null; // [[x0, y0], [x1, y1]] of the view, in minimap pixels
+        if (minimapPanel) buildMinimap();
+
+        function buildMinimap() {
+            const [width, height] = config.minimapSize;
+            const ratio = window.devicePixelRatio || 1;
+            minimapPanel.html('');
+            minimap = minimapPanel.append('canvas')
+                .attr('width', Math.round(width * ratio))
+                .attr('height', Math.round(height * ratio))
+                .style('width', `${width}px`)
+                .style('height', `${height}px`)
+                .attr('role', 'img')
+                .attr('aria-label', t('minimap'));
+
+            // Clicking outside the outline centres the view there; dragging moves it along
+            minimap.call(d3.drag()
+                .container(function () { return this; })
+                .on('start', event => {
+                    if (!minimapProjection) return;
+                    svg.interrupt();
+                    const [[x0, y0], [x1, y1]] = minimapViewport;
+                    if (event.x < x0 || event.x > x1 || event.y < y0 || event.y > y1) {
+                        const { scale, x, y } = minimapProjection;
+                        svg.call(zoom.translateTo, (event.x - x) / scale, (event.y - y) / scale);
+                    }
+                })
+                .on('drag', event => {
+                    if (!minimapProjection) return;
+                    const { scale } = minimapProjection;
+                    svg.call(zoom.translateBy, -event.dx / scale, -event.dy / scale);
+                })
+                .on('end', () => scheduleUrlStateWrite()));
+        }
+
+        // At most once per frame, however many ticks and zoom events arrive
+        function requestMinimapDraw() {
+            if (!minimap || minimapFrame) return;
+            minimapFrame = requestAnimationFrame(() => {
+                minimapFrame = null;
+                paintMinimap();
+            });
+        }
+
+        function paintMinimap() {
+            const context = minimap.node().getContext('2d');
+            if (!context) return;
+            const [width, height] = config.minimapSize;
+            const ratio = window.devicePixelRatio || 1;
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, width, height);
+
+            const bounds = contentBounds();
+            minimapProjection = null;
+            if (!bounds) return;
+            const [[x0, y0], [x1, y1]] = bounds;
+            const scale = Math.min((width - 8) / Math.max(x1 - x0, 1), (height - 8) / Math.max(y1 - y0, 1));
+            minimapProjection = { scale, x: width / 2 - scale * (x0 + x1) / 2, y: height / 2 - scale * (y0 + y1) / 2 };
+            const project = ([x, y]) => [minimapProjection.x + x * scale, minimapProjection.y + y * scale];
+
+            const network = currentView === 'network';
+            if (network) {
+                context.globalAlpha = 0.6;
+                context.strokeStyle = config.colors.links[1];
+                context.lineWidth = 1;
+                context.beginPath();
+                visibleLinks.forEach(l => {
+                    context.moveTo(...project([l.source.x, l.source.y]));
+                    context.lineTo(...project([l.target.x, l.target.y]));
+                });
+                context.stroke();
+            }
+            context.globalAlpha = 1;
+            allNodes.filter(d => network || viewCentroids.has(d.id)).forEach(d => {
+                const [x, y] = project(positionOf(d));
+                context.fillStyle = d.color;
+                context.beginPath();
+                context.arc(x, y, network ? Math.max(1, d.radius * scale) : 1.5, 0, 2 * Math.PI);
+                context.fill();
+            });
+
+            const transform = d3.zoomTransform(svg.node());
+            minimapViewport = [project(transform.invert([0, 0])), project(transform.invert([config.width, config.height]))];
+            const [[vx0, vy0], [vx1, vy1]] = minimapViewport;
+            context.fillStyle = context.strokeStyle = theme.accent;
+            context.globalAlpha = 0.12;
+            context.fillRect(vx0, vy0, vx1 - vx0, vy1 - vy0);
+            context.globalAlpha = 1;
+            context.lineWidth = 1.5;
+            context.strokeRect(vx0, vy0, vx1 - vx0, vy1 - vy0);
+        }
+
+        // ------------------------------------------------------------------
+        // Value range and top N
+        // ------------------------------------------------------------------
+
+        const valueFilterPanel = resolvePanel(options.valueFilter, host, 'value-filter');
+        let updateValueSlider = null; // Moves the value filter's sliders, see buildRangeControl()
+
+        function buildValueFilter() {
+            updateValueSlider = null;
+            if (!valueFilterPanel) return;
+            valueFilterPanel.html('');
+            const values = originalNodes.filter(n => n.depth > 0 && !n.hasChildren).map(n => n.value || 0);
+            if (values.length === 0) return;
+
+            valueFilterPanel.append('h3').text(t('filterValues'));
+            updateValueSlider = buildRangeControl(valueFilterPanel, values, setValueRange);
+
+            const top = valueFilterPanel.append('label').attr('class', 'value-filter-top');
+            top.append('span').text(t('topPerGroup'));
+            top.append('input')
+                .attr('type', 'number')
+                .attr('min', 1)
+                .attr('step', 1)
+                .attr('placeholder', t('all'))
+                .on('change', function () {
+                    setTopN(parseInt(this.value, 10));
+                });
+
+            valueFilterPanel.append('div')
+                .attr('class', 'category-filter-actions')
+                .append('button')
+                .text(t('showAll'))
+                .on('click', () => {
+                    valueRange = null;
+                    topN = null;
+                    updateValueFilter();
+                    applyFilters();
+                });
+
+            updateValueFilter();
+        }
+
+        // Sliders, label, histogram and top N input follow valueRange and topN
+        function updateValueFilter() {
+            if (!valueFilterPanel) return;
+            if (updateValueSlider) updateValueSlider(valueRange);
+            valueFilterPanel.select('.value-filter-top input').property('value', topN || '');
+        }
+
+        // A histogram of `values` with two sliders over it, for the lower and the upper bound.
+        // Moving them calls onChange([min, max]); a bound at the end of its track is null.
+        // Returns update(range), which moves the sliders without calling onChange
+        function buildRangeControl(parent, values, onChange) {
+            const steps = 200;
+            const sorted = values.slice().sort(d3.ascending);
+            const [lowest, highest] = d3.extent(sorted);
+            // Values spanning orders of magnitude get a log-like track, so small ones can be picked
+            const scale = (lowest >= 0 && highest > 100 * Math.max(lowest, 1) ? d3.scaleSymlog() : d3.scaleLinear())
+                .domain([lowest, highest > lowest ? highest : lowest + 1])
+                .range([0, steps]);
+
+            // Bins of equal width on the track
+            const width = 200;
+            const height = 40;
+            const binCount = 20;
+            const bins = d3.bin()
+                .domain(scale.domain())
+                .thresholds(d3.range(1, binCount).map(i => scale.invert(i * steps / binCount)))(sorted);
+            const x = d3.scaleLinear([0, steps], [0, width]);
+            const y = d3.scaleLinear([0, d3.max(bins, bin => bin.length) || 1], [0, height]);
+            const bars = parent.append('svg')
+                .attr('class', 'range-control-histogram')
+                .attr('width', width)
+                .attr('height', height)
+                .attr('aria-hidden', true)
+                .selectAll('rect')
+                .data(bins)
+                .join('rect')
+                .attr('x', bin => x(scale(bin.x0)))
+                .attr('width', bin => Math.max(1, x(scale(bin.x1)) - x(scale(bin.x0)) - 1))
+                .attr('y', bin => height - y(bin.length))
+                .attr('height', bin => y(bin.length));
+
+            // Two sliders over the same track
+            const track = parent.append('div').attr('class', 'range-control-track');
+            const inputs = ['minValue', 'maxValue'].map(label => track.append('input')
+                .attr('type', 'range')
+                .attr('min', 0)
+                .attr('max', steps)
+                .attr('step', 1)
+                .attr('aria-label', t(label)));
+            const [low, high] = inputs;
+            inputs.forEach((input, i) => input.on('input', function () {
+                // The bounds cannot cross: the other slider is pushed along
+                if (+low.property('value') > +high.property('value')) {
+                    inputs[1 - i].property('value', this.value);
+                }
+                onChange([boundAt(+low.property('value'), 'min'), boundAt(+high.property('value'), 'max')]);
+            }));
+            const label = parent.append('div')
+                .attr('class', 'range-control-label')
+                .attr('aria-live', 'polite');
+
+            // The ends of the track mean no bound; other positions snap to the nearest value inside
+            function boundAt(position, bound) {
+                if (position <= 0 && bound === 'min') return null;
+                if (position >= steps && bound === 'max') return null;
+                const value = scale.invert(position);
+                const snapped = bound === 'min' ?
+                    sorted[d3.bisectLeft(sorted, value)] :
+                    sorted[d3.bisectRight(sorted, value) - 1];
+                return snapped == null ? value : snapped;
+            }
+
+            function update(range) {
+                const [min = null, max = null] = range || [];
+                const shownMin = formatValue(min == null ? lowest : min);
+                const shownMax = formatValue(max == null ? highest : max);
+                const position = value => Math.max(0, Math.min(Math.round(scale(value)), steps));
+                low.property('value', min == null ? 0 : position(min)).attr('aria-valuetext', shownMin);
+                high.property('value', max == null ? steps : position(max)).attr('aria-valuetext', shownMax);
+                label.text(t('valueRange', { min: shownMin, max: shownMax }));
+                bars.classed('out', bin => (min != null && bin.x1 <= min) || (max != null && bin.x0 > max));
+            }
+
+            update(null);
+            return update;
+        }
+
+        // Show only the leaves with values in [min, max]; a null bound, or no range, leaves that side open.
+        // Their values stay in the counts of the nodes above them
+        function setValueRange(range) {
+            const [min = null, max = null] = range || [];
+            valueRange = min == null && max == null ? null : [min, max];
+            updateValueFilter();
+            applyFilters();
+        }
+
+        // Keep the `n` largest children of each category and deeper node; null keeps all
+        function setTopN(n) {
+            topN = n > 0 ? Math.floor(n) : null;
+            updateValueFilter();
+            applyFilters();
+        }
+
+        // ------------------------------------------------------------------
+        // Facets
+        // ------------------------------------------------------------------
+
+        const facetPanel = resolvePanel(options.facetFilter, host, 'facet-filter');
+        let facetFields = []; // { key, type: 'category', counts } or { key, type: 'number', values }, see findFacets()
+
+        // Fields of the data to filter on: extra attributes of the nodes (region, amount, ...),
+        // read for each leaf from the leaf itself or its nearest ancestor that has them.
+        // Numbers get a range, other values a checkbox each, up to facetLimit of them
+        function findFacets() {
+            const keys = new Set();
+            originalNodes.forEach(node => {
+                if (node.depth === 0) return;
+                Object.keys(node.data || {}).forEach(key => {
+                    const value = node.data[key];
+                    if (!structuralFields.has(key) && value != null && typeof value !== 'object') keys.add(key);
+                });
+            });
+
+            const leaves = originalNodes.filter(n => n.depth > 0 && !n.hasChildren);
+            return (config.facets || [...keys]).filter(key => keys.has(key)).map(key => {
+                const values = leaves.map(leaf => attributeOf(leaf, key)).filter(value => value != null);
+                if (values.every(value => typeof value === 'number')) {
+                    const [min, max] = d3.extent(values);
+                    return min < max ? { key, type: 'number', values } : null;
+                }
+                const counts = d3.rollup(values, list => list.length, String);
+                return counts.size > 1 && counts.size <= config.facetLimit ?
+                    { key, type: 'category', counts: [...counts].sort(([a], [b]) => d3.ascending(a, b)) } : null;
+            }).filter(Boolean);
+        }
+
+        // `key` of the node's data, or of its nearest ancestor that has it
+        function attributeOf(node, key) {
+            for (let current = node; current; current = nodeIndex.get(current.parentId)) {
+                const value = current.data && current.data[key];
+                if (value != null && typeof value !== 'object') return value;
+            }
+            return undefined;
+        }
+
+        // Test for the leaves that pass every facet, or null when none is set
+        function facetTest() {
+            const active = facetFields.filter(field => facetFilters.has(field.key));
+            if (active.length === 0) return null;
+            return leaf => active.every(({ key }) => {
+                const value = attributeOf(leaf, key);
+                const filter = facetFilters.get(key);
+                if (value == null) return false;
+                if (filter.exclude) return !filter.exclude.has(String(value));
+                const [min, max] = filter.range;
+                return (min == null || value >= min) && (max == null || value <= max);
+            });
+        }
+
+        // Value of `node` as shown: while a facet is set, nodes with children total their matching leaves
+        function currentValue(node) {
+            return (facetResult && facetResult.totals.has(node.id) ? facetResult.totals.get(node.id) : node.value) || 0;
+        }
+
+        function buildFacetFilter() {
+            facetFields = findFacets();
+            // Filters on fields the data no longer has are dropped
+            facetFilters.forEach((filter, key) => {
+                if (!facetFields.some(field => field.key === key)) facetFilters.delete(key);
+            });
+
+            if (!facetPanel) return;
+            facetPanel.html('');
+            if (facetFields.length === 0) return;
+
+            facetPanel.append('h3').text(t('filterAttributes'));
+
+            const mode = facetPanel.append('label').attr('class', 'facet-filter-mode');
+            mode.append('span').text(t('facetMode'));
+            mode.append('select')
+                .on('change', function () {
+                    setFacetMode(this.value);
+                })
+                .selectAll('option')
+                .data(['dim', 'remove'])
+                .join('option')
+                .attr('value', d => d)
+                .text(d => t(`facetMode.${d}`));
+
+            facetFields.forEach((field, i) => {
+                const fieldset = facetPanel.append('fieldset')
+                    .attr('class', 'facet')
+                    .attr('data-facet', field.key);
+                fieldset.append('legend').text(fieldLabel(field.key));
+
+                if (field.type === 'number') {
+                    field.update = buildRangeControl(fieldset, field.values, range => {
+                        const [min = null, max = null] = range || [];
+                        setFacet(field.key, min == null && max == null ? null : { range: [min, max] });
+                    });
+                    return;
+                }
+
+                field.counts.forEach(([value, count], j) => {
+                    const inputId = `${uid}-facet-${i}-${j}`;
+                    const item = fieldset.append('div')
+                        .attr('class', 'category-filter-item')
+                        .attr('data-value', value);
+                    item.append('input')
+                        .attr('type', 'checkbox')
+                        .attr('id', inputId)
+                        .on('change', function () {
+                            const exclude = new Set(facetFilters.has(field.key) ? facetFilters.get(field.key).exclude : []);
+                            if (this.checked) exclude.delete(value);
+                            else exclude.add(value);
+                            setFacet(field.key, exclude.size ? { exclude } : null);
+                        });
+                    const label = item.append('label').attr('for', inputId);
+                    label.append('span').text(value);
+                    label.append('span')
+                        .attr('class', 'facet-count')
+                        .text(formatValue(count));
+                });
+            });
+
+            facetPanel.append('div')
+                .attr('class', 'category-filter-actions')
+                .append('button')
+                .text(t('showAll'))
+                .on('click', () => {
+                    facetFilters = new Map();
+                    updateFacetFilter();
+                    applyFilters();
+                });
+
+            updateFacetFilter();
+        }
+
+        // Name of a field in the panel: the `field.<key>` message if there is one
+        function fieldLabel(key) {
+            return catalogue[`field.${key}`] || key;
+        }
+
+        // Checkboxes, sliders and mode follow facetFilters and facetMode
+        function updateFacetFilter() {
+            if (!facetPanel) return;
+            facetPanel.select('.facet-filter-mode select').property('value', facetMode);
+            facetFields.forEach(field => {
+                const filter = facetFilters.get(field.key);
+                if (field.type === 'number') {
+                    if (field.update) field.update(filter && filter.range);
+                    return;
+                }
+                facetPanel.selectAll('.facet')
+                    .filter(function () { return this.getAttribute('data-facet') === field.key; })
+                    .selectAll('.category-filter-item')
+                    .each(function () {
+                        const shown = !filter || !filter.exclude.has(this.getAttribute('data-value'));
+                        d3.select(this).classed('hidden', !shown)
+                            .select('input').property('checked', shown);
+                    });
+            });
+        }
+
+        // Filter on a field: { exclude: values } or { range: [min, max] }, null to clear it
+        function setFacet(key, filter) {
+            if (filter) facetFilters.set(key, filter);
+            else facetFilters.delete(key);
+            updateFacetFilter();
+            applyFilters();
+        }
+
+        function setFacetMode(mode) {
+            facetMode = mode === 'remove' ? 'remove' : 'dim';
+            updateFacetFilter();
+            applyFilters();
+        }
+
+        // The public form of a facet filter: the values to keep, or [min, max]
+        function facetFromValues(key, values) {
+            const field = facetFields.find(f => f.key === key);
+            if (!field || values == null) return null;
+            if (field.type === 'number') {
+                const [min = null, max = null] = values;
+                return min == null && max == null ? null : { range: [min, max] };
+            }
+            const keep = new Set(values.map(String));
+            const exclude = new Set(field.counts.map(([value]) => value).filter(value => !keep.has(value)));
+            return exclude.size ? { exclude } : null;
+        }
+
+        // ------------------------------------------------------------------
+        // Relations
+        // ------------------------------------------------------------------
+
+        const relationPanel = resolvePanel(options.relationToggle, host, 'relation-toggle');
+        let relationList = config.relations; // As given to the option or setRelations(), null for the data's
+        let relations = []; // { id, source, target, weight, data } between node ids, see resolveRelations()
+        let relationsShown = config.showRelations !== false;
+
+        // Relations run from one end up the visible hierarchy to the nearest common ancestor
+        // and down to the other; curveBundle pulls them towards that route, so relations
+        // between the same branches bundle together through the centre
+        const relationLine = d3.line()
+            .x(d => d.x)
+            .y(d => d.y)
+            .curve(d3.curveBundle.beta(config.relationBundling));
+
+        // Relations whose ends are names below the root, as a list (['Gender', 'Female'])
+        // or a 'Gender/Female' path; the ones that do not resolve are left out with a warning
+        function resolveRelations(list, root, warnings) {
+            if (list == null) return [];
+            if (!Array.isArray(list)) {
+                warnings.push(t('relationsNotList'));
+                return [];
+            }
+            const ids = new Set(root.descendants().map(node => node.data.id));
+            const idOf = path => {
+                // A '/' inside a name is written %2F in the string form
+                const names = Array.isArray(path) ? path.map(String) :
+                    typeof path === 'string' ? path.split('/').map(unescapeName) : [];
+                const id = ['root', ...names.map(name => escapeName(name, '/#'))].join('/');
+                return names.length && ids.has(id) ? id : null;
+            };
+            const describe = path => Array.isArray(path) ? path.join(' › ') : String(path);
+            const counts = new Map();
+
+            return list.map((relation, index) => {
+                const { source: from, target: to, weight } = relation || {};
+                const source = idOf(from);
+                const target = idOf(to);
+                const where = `relations[${index}] (${describe(from)} ↔ ${describe(to)})`;
+                if (!source || !target) {
+                    warnings.push(t('relationNotFound', { where, name: !source ? describe(from) : describe(to) }));
+                    return null;
+                }
+                if (source === target) {
+                    warnings.push(t('relationSameNode', { where }));
+                    return null;
+                }
+                if (weight != null && !(typeof weight === 'number' && isFinite(weight) && weight > 0)) {
+                    warnings.push(t('relationBadWeight', { where, weight }));
+                }
+                // Keys stay stable across updates, with repeated pairs numbered
+                const key = `${source}>${target}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+                return {
+                    id: counts.get(key) > 1 ? `${key}#${counts.get(key)}` : key,
+                    source,
+                    target,
+                    weight: typeof weight === 'number' && isFinite(weight) && weight > 0 ? weight : 1,
+                    data: relation
+                };
+            }).filter(Boolean);
+        }
+
+        // Visible node standing in for the node `id`: itself, the "Other" node it was rolled
+        // into, or its nearest visible ancestor. Nothing if that is the centre
+        function relationEnd(id) {
+            for (let node = nodeIndex.get(id); node; node = nodeIndex.get(node.parentId)) {
+                const other = otherNodes.get(`${node.parentId}#other`);
+                const end = visibleById.get(node.id) || (other && other.rolledUp.includes(node.id) ? other : null);
+                if (end) return end.depth > 0 && end.id !== drillId ? end : null;
+            }
+            return null;
+        }
+
+        // Relations to draw, with the visible nodes they are routed through; relations whose
+        // ends are hidden inside the same node are left out
+        function visibleRelations() {
+            if (!relationsShown) return [];
+            return relations.map(relation => {
+                const source = relationEnd(relation.source);
+                const target = relationEnd(relation.target);
+                if (!source || !target || source === target) return null;
+                const up = [source.id, ...getAncestors(source.id)];
+                const down = [target.id, ...getAncestors(target.id)];
+                const common = up.findIndex(id => down.includes(id));
+                const route = [...up.slice(0, common + 1), ...down.slice(0, down.indexOf(up[common])).reverse()]
+                    .map(id => visibleById.get(id));
+                return { relation, source, target, route };
+            }).filter(Boolean);
+        }
+
+        // Stroke width in proportion to the weight, at least a pixel so light relations stay visible
+        function relationWidthScale() {
+            const scale = d3.scaleLinear()
+                .domain([0, d3.max(relations, r => r.weight) || 1])
+                .range([0, config.relationWidth]);
+            return weight => Math.max(1, scale(weight));
+        }
+
+        // Relations are drawn, never simulated: the layout only sees the hierarchy's links
+        function drawRelations() {
+            const width = relationWidthScale();
+            relationLayer.selectAll('path.relation:not(.exiting)')
+                .data(visibleRelations(), d => d.relation.id)
+                .join(
+                    enter => enter.append('path')
+                        .attr('class', 'relation')
+                        .style('opacity', 0)
+                        .on('mouseenter', (event, d) => handleRelationHover(event, d, true))
+                        .on('mousemove', event => positionTooltip(event))
+                        .on('mouseleave', (event, d) => handleRelationHover(event, d, false))
+                        .call(enter => enter.transition().duration(motion(600)).style('opacity', 1)),
+                    update => update,
+                    exit => exit.classed('exiting', true)
+                        .transition().duration(motion(300))
+                        .style('opacity', 0)
+                        .remove()
+                )
+                .attr('stroke', config.colors.relations)
+                .attr('stroke-width', d => width(d.relation.weight))
+                .attr('d', d => relationLine(d.route));
+        }
+
+        // Weight and both ends in the tooltip; the relation is drawn on top while hovered
+        function handleRelationHover(event, d, enter) {
+            const path = d3.select(event.currentTarget).classed('active', enter);
+            if (!enter) {
+                tooltip.classed('show', false);
+                return;
+            }
+            path.raise();
+            const source = nodeIndex.get(d.relation.source);
+            const target = nodeIndex.get(d.relation.target);
+            tooltip.html('');
+            tooltip.append('div').attr('class', 'tooltip-title')
+                .text(t('relationTitle', { source: source.name, target: target.name }));
+            tooltip.append('div').attr('class', 'tooltip-count')
+                .text(t('relationWeight', { weight: formatValue(d.relation.weight) }));
+            tooltip.selectAll('.tooltip-detail')
+                .data([source, target])
+                .join('div')
+                .attr('class', 'tooltip-detail')
+                .text(node => relationPath(node.id).join(' › '));
+            tooltip.classed('show', true);
+            positionTooltip(event);
+        }
+
+        // Names below the root of the node `id`
+        function relationPath(id) {
+            const node = nodeIndex.get(id);
+            return [...getAncestorNames(node).slice(1), node.name];
+        }
+
+        function positionTooltip(event) {
+            tooltip
+                .style('left', (event.pageX + 15) + 'px')
+                .style('top', (event.pageY - 15) + 'px');
+        }
+
+        function buildRelationToggle() {
+            if (!relationPanel) return;
+            relationPanel.html('').style('display', relations.length ? null : 'none');
+            if (!relations.length) return;
+            const label = relationPanel.append('label');
+            label.append('input')
+                .attr('type', 'checkbox')
+                .property('checked', relationsShown)
+                .on('change', event => showRelations(event.target.checked));
+            label.append('span').text(t('showRelations', { count: formatValue(relations.length) }));
+        }
+
+        function showRelations(shown) {
+            relationsShown = shown !== false;
+            if (relationPanel) relationPanel.select('input').property('checked', relationsShown);
+            if (canvasMode) requestCanvasDraw();
+            else if (currentView === 'network') drawRelations();
+            scheduleUrlStateWrite();
+        }
+
+        // Relations for the current data; null goes back to the data's own `relations`
+        function setRelations(list) {
+            relationList = list;
+            if (!originalRoot) return;
+            const warnings = [];
+            relations = resolveRelations(relationList || originalRoot.data.relations, originalRoot, warnings);
+            if (warnings.length) showWarnings({ errors: [], warnings });
+            buildRelationToggle();
+            applyFilters();
+        }
+
+        // ------------------------------------------------------------------
+        // Custom layout
+        // ------------------------------------------------------------------
+
+        const layoutPanel = resolvePanel(options.layoutMenu, host, 'network-layout');
+        let pins = new Map(); // [x, y] of the nodes the user dragged, by id
+        let dragging = null; // Nodes moving with the one being dragged
+        if (layoutPanel) buildLayoutMenu();
+
+        // Dragging a node moves it with everything drawn below it. On release they are pinned
+        // where they were dropped (fx/fy, see pinned()) and the rest of the layout settles
+        // around them. The root and the drill-down centre stay put
+        const nodeDrag = d3.drag()
+            .filter((event, d) => !event.ctrlKey && !event.button && draggable(d))
+            .clickDistance(4)
+            .on('drag', dragged)
+            .on('end', dragEnded);
+
+        // The canvas has no element per node: the drag is on the SVG above it, with the node
+        // under the pointer as its subject and movements in the zoomed coordinates
+        const canvasDrag = d3.drag()
+            .filter(event => canvasMode && !event.ctrlKey && !event.button)
+            .container(() => nodeLayer.node())
+            .subject(event => {
+                const hit = canvasNodeAt(event);
+                return draggable(hit) ? hit : null;
+            })
+            .clickDistance(4)
+            .on('drag', event => dragged(event, event.subject))
+            .on('end', dragEnded);
+        svg.call(canvasDrag);
+
+        function draggable(d) {
+            return !!d && d.depth > 0 && d.id !== drillId;
+        }
+
+        function dragged(event, d) {
+            if (!dragging) startDrag(d);
+            dragging.forEach(node => {
+                node.x += event.dx;
+                node.y += event.dy;
+            });
+            updateParentPositions(allNodes, visibleLinks);
+            ticked(allNodes, visibleLinks);
+            if (config.layout === 'force' && !canvasMode) updateBubblePositions(new Set(dragging.map(node => node.id)));
+        }
+
+        function dragEnded() {
+            if (!dragging) return;
+            dragging.forEach(node => pins.set(node.id, [node.x, node.y]));
+            dragging = null;
+            dispatch.call('layout', instance, getLayout());
+            applyFilters();
+        }
+
+        // The layout stops while the subtree is moved by hand
+        function startDrag(d) {
+            stopLayout();
+            tooltip.classed('show', false);
+            const ids = new Set([d.id, ...getDescendants(d.id)]);
+            otherNodes.forEach(other => { if (ids.has(other.parentId)) ids.add(other.id); });
+            dragging = allNodes.filter(node => ids.has(node.id));
+        }
+
+        // Count bubbles of the moved nodes and their children point away from the new parent positions
+        function updateBubblePositions(ids) {
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .filter(d => ids.has(d.id) || ids.has(d.parentId))
+                .each(function (d) {
+                    const { bubbleX, bubbleY, nodeEdgeX, nodeEdgeY } = bubbleGeometry(d);
+                    const node = d3.select(this);
+                    node.select('.count-link')
+                        .attr('x1', nodeEdgeX)
+                        .attr('y1', nodeEdgeY)
+                        .attr('x2', bubbleX)
+                        .attr('y2', bubbleY);
+                    node.select('.count-bubble').attr('transform', `translate(${bubbleX},${bubbleY})`);
+                });
+        }
+
+        // Copy of `node` fixed at its pinned position, if it has one
+        function pinned(node) {
+            const pin = pins.get(node.id);
+            return pin && node.id !== drillId ? { ...node, fx: pin[0], fy: pin[1], pinned: true } : node;
+        }
+
+        // The pins as { dataset, nodes: { path: [x, y] } }, with paths as in relations ('Religion/Buddhism')
+        function getLayout() {
+            const round = value => Math.round(value * 10) / 10;
+            return {
+                dataset: layoutName(),
+                nodes: Object.fromEntries([...pins].map(([id, [x, y]]) => [id.replace(/^root\//, ''), [round(x), round(y)]]))
+            };
+        }
+
+        // Pins from a layout, for the nodes of the current data
+        function layoutPins(layout) {
+            const nodes = layout && layout.nodes && typeof layout.nodes === 'object' ? layout.nodes : {};
+            return new Map(Object.entries(nodes)
+                .map(([path, position]) => [`root/${path}`, position])
+                .filter(([id, position]) => Array.isArray(position) && position.length === 2 &&
+                    position.every(Number.isFinite) && nodeIndex.get(id.replace(/#other$/, ''))));
+        }
+
+        function setLayout(layout) {
+            pins = layoutPins(layout);
+            dispatch.call('layout', instance, getLayout());
+            if (originalRoot) applyFilters();
+        }
+
+        // Layouts are saved per dataset: under `layoutKey`, or else the root's name with the URL
+        // the data came from (or a hash of its node paths), so that datasets sharing a name do not collide
+        function layoutName() {
+            if (config.layoutKey) return config.layoutKey;
+            return originalRoot ? `${originalRoot.data.name}@${datasetId}` : null;
+        }
+
+        function layoutStorageKey() {
+            return `radial-network-layout:${layoutName()}`;
+        }
+
+        function storedLayout() {
+            try {
+                return JSON.parse(window.localStorage.getItem(layoutStorageKey()));
+            } catch (error) {
+                return null; // Storage blocked, or something else under the key
+            }
+        }
+
+        function saveLayout() {
+            const layout = getLayout();
+            try {
+                window.localStorage.setItem(layoutStorageKey(), JSON.stringify(layout));
+                showLayoutStatus(t('layoutSaved', { count: pins.size }));
+            } catch (error) {
+                showError(error);
+            }
+            return layout;
+        }
+
+        // A layout object or its JSON, or the saved one
+        function loadLayout(layout) {
+            const source = layout === undefined ? storedLayout() : typeof layout === 'string' ? JSON.parse(layout) : layout;
+            if (!source || typeof source.nodes !== 'object') throw new Error('no "nodes" with positions');
+            setLayout(source);
+            showLayoutStatus(t('layoutLoaded', { count: pins.size }));
+        }
+
+        function buildLayoutMenu() {
+            const menuId = `${uid}-layout-menu`;
+            layoutPanel.html('');
+
+            const toggle = layoutPanel.append('button')
+                .attr('class', 'network-layout-toggle')
+                .attr('aria-haspopup', 'true')
+                .attr('aria-controls', menuId)
+                .attr('aria-expanded', false)
+                .text(t('layoutMenu'))
+                .on('click', () => setOpen(!layoutPanel.classed('open')));
+
+            const menu = layoutPanel.append('div')
+                .attr('id', menuId)
+                .attr('class', 'network-layout-menu')
+                .attr('role', 'menu');
+
+            const items = [
+                ['saveLayout', () => saveLayout()],
+                ['loadLayout', () => loadLayout()],
+                ['exportLayout', () => downloadBlob(new Blob([JSON.stringify(getLayout(), null, 2)], { type: 'application/json' }),
+                    `${config.exportName}-layout.json`)],
+                ['importLayout', () => fileInput.node().click()],
+                ['resetLayout', () => setLayout(null)]
+            ];
+            menu.selectAll('button')
+                .data(items)
+                .join('button')
+                .attr('role', 'menuitem')
+                .attr('data-action', ([key]) => key)
+                .text(([key]) => t(key))
+                .on('click', (event, [, action]) => {
+                    setOpen(false);
+                    try {
+                        action();
+                    } catch (error) {
+                        showError(new Error(t('layoutInvalid', { error: error.message })));
+                    }
+                });
+
+            const fileInput = layoutPanel.append('input')
+                .attr('type', 'file')
+                .attr('accept', '.json,application/json')
+                .attr('hidden', true)
+                .on('change', event => {
+                    const file = event.target.files[0];
+                    event.target.value = '';
+                    if (!file) return;
+                    file.text()
+                        .then(text => loadLayout(text))
+                        .catch(error => showError(new Error(t('layoutInvalid', { error: error.message }))));
+                });
+
+            layoutPanel.append('span')
+                .attr('class', 'network-layout-status')
+                .attr('role', 'status');
+
+            // Nothing to load until a layout has been saved for this dataset
+            function setOpen(open) {
+                layoutPanel.classed('open', open);
+                toggle.attr('aria-expanded', open);
+                if (open) menu.select('[data-action="loadLayout"]').property('disabled', !storedLayout());
+            }
+        }
+
+        function showLayoutStatus(text) {
+            if (!layoutPanel) return;
+            const status = layoutPanel.select('.network-layout-status').text(text);
+            schedule(() => status.text(''), 2500);
+        }
+
+        // ------------------------------------------------------------------
+        // Selection
+        // ------------------------------------------------------------------
+
+        let selectedIds = new Set(); // Nodes pinned with shift-click, in the order they were picked
+
+        const selectionPanel = resolvePanel(options.selectionPanel, host, 'network-selection');
+
+        function toggleSelection(node) {
+            const ids = new Set(selectedIds);
+            if (ids.has(node.id)) ids.delete(node.id);
+            else ids.add(node.id);
+            setSelection(ids);
+        }
+
+        function setSelection(ids) {
+            selectedIds = new Set([...ids].filter(id => nodeIndex.get(id)));
+            updateSelection();
+            dispatch.call('select', instance, getSelection());
+            scheduleUrlStateWrite();
+        }
+
+        function getSelection() {
+            return [...selectedIds].map(id => nodeIndex.get(id));
+        }
+
+        // Classes, resting highlight and panel after the selection or the visible nodes changed
+        function updateSelection() {
+            nodeLayer.selectAll('.node').classed('selected', d => selectedIds.has(d.id));
+            viewLayer.selectAll('.view-item').classed('selected', d => selectedIds.has(d.id));
+            if (!searchQuery) restoreHighlight();
+            updateSelectionPanel();
+        }
+
+        // Selected nodes and their tree paths stay lit while nothing else is highlighted
+        function highlightSelection() {
+            const pathIds = new Set();
+            selectedIds.forEach(id => {
+                if (visibleById.has(id)) getTreePath(id).all.forEach(pathId => pathIds.add(pathId));
+            });
+            const matchIds = new Set([...selectedIds].filter(id => visibleById.has(id)));
+            setHighlight({ ids: pathIds, matches: matchIds, current: null });
+            litPaths(pathIds, matchIds);
+        }
+
+        // Counts, shares of the total and bars to compare them
+        function updateSelectionPanel() {
+            if (!selectionPanel) return;
+            selectionPanel.html('');
+            const nodes = getSelection();
+            if (nodes.length === 0) return;
+
+            selectionPanel.append('h3').text(t('selection', { count: formatValue(nodes.length) }));
+            const x = d3.scaleLinear()
+                .domain([0, d3.max(nodes, currentValue) || 1])
+                .range([0, 120]);
+
+            const rows = selectionPanel.append('ol')
+                .attr('class', 'network-selection-list')
+                .selectAll('li')
+                .data(nodes)
+                .join('li')
+                .classed('hidden', d => !visibleById.has(d.id))
+                .attr('title', d => [...getAncestorNames(d), d.name].join(' › '));
+
+            const head = rows.append('div').attr('class', 'network-selection-head');
+            head.append('span')
+                .attr('class', 'network-selection-name')
+                .text(d => d.name);
+            head.append('button')
+                .attr('type', 'button')
+                .attr('class', 'network-selection-remove')
+                .attr('aria-label', d => t('removeFromSelection', { name: d.name }))
+                .text('×')
+                .on('click', (event, d) => toggleSelection(d));
+
+            const bar = rows.append('div').attr('class', 'network-selection-bar');
+            bar.append('svg')
+                .attr('width', 120)
+                .attr('height', 10)
+                .attr('aria-hidden', true)
+                .append('rect')
+                .attr('height', 10)
+                .attr('rx', 2)
+                .attr('width', d => x(currentValue(d)));
+            bar.append('span').text(d => {
+                const share = sharesOf(d).total;
+                const value = formatValue(currentValue(d));
+                return share != null ? t('selectionValue', { value, share: formatShare(share) }) : value;
+            });
+
+            const actions = selectionPanel.append('div').attr('class', 'category-filter-actions');
+            actions.append('button')
+                .text(t('exportSelection'))
+                .on('click', () => downloadBlob(new Blob([exportSelection()], { type: 'text/csv' }),
+                    `${config.exportName}-selection.csv`));
+            actions.append('button')
+                .text(t('clearSelection'))
+                .on('click', () => setSelection([]));
+        }
+
+        // The selected nodes as CSV, with their shares, whether or not they are visible
+        function exportSelection() {
+            const rows = getSelection().map(node => {
+                const shares = sharesOf(node);
+                return {
+                    name: node.name,
+                    depth: node.depth,
+                    parent_path: getAncestorNames(node).join(' › '),
+                    value: currentValue(node),
+                    share_of_parent: shares.parent != null ? +shares.parent.toPrecision(4) : '',
+                    share_of_total: shares.total != null ? +shares.total.toPrecision(4) : ''
+                };
+            });
+            return d3.csvFormat(rows, ['name', 'depth', 'parent_path', 'value', 'share_of_parent', 'share_of_total']);
+        }
+
+        // ------------------------------------------------------------------
+        // Time series
+        // ------------------------------------------------------------------
+
+        let series = null; // { periods, trees, roots } when the data is keyed by period
+        let periodIndex = 0;
+        let previousValues = null; // Node id -> value in the period before the current one
+        let playTimer = null;
+        const baseBubbleLabel = config.bubbleLabel === 'delta' ? 'count' : config.bubbleLabel;
+
+        const timelinePanel = resolvePanel(options.timeline, host, 'timeline');
+
+        // A tree, or trees keyed by period ({ "2023": tree, "2024": tree }) shown on a timeline.
+        // New data is diffed against what is shown by node path (see render()) unless `reset`
+        function setData(data, { reset = false } = {}) {
+            const keepState = !reset && !!originalRoot;
+            const shownPeriod = keepState && series ? series.periods[periodIndex] : null;
+            if (!keepState || !isPeriodSeries(data)) pause();
+            series = null;
+            previousValues = null;
+            if (isPeriodSeries(data)) {
+                const periods = Object.keys(data);
+                series = {
+                    periods,
+                    trees: periods.map(period => data[period]),
+                    // Validated hierarchies of every period, for shared scales and changes
+                    roots: periods.map(period => prepareTree(data[period]).root)
+                };
+                periodIndex = periods.includes(shownPeriod) ? periods.indexOf(shownPeriod) : periods.length - 1;
+                previousValues = valuesOf(periodIndex - 1);
+            }
+            buildTimeline();
+            clearError();
+            render(series ? series.trees[periodIndex] : data, { keepState });
+        }
+
+        // Morph to another period: nodes are matched by path, so positions, filters
+        // and collapsed nodes carry over and only values, sizes and presence change
+        function showPeriod(index) {
+            if (!series) return;
+            index = Math.max(0, Math.min(series.periods.length - 1, index));
+            if (index === periodIndex) return;
+            periodIndex = index;
+            previousValues = valuesOf(index - 1);
+            clearError();
+            render(series.trees[index], { keepState: true });
+            updateTimeline();
+            dispatch.call('period', instance, series.periods[index], index);
+        }
+
+        function valuesOf(index) {
+            const root = series && series.roots[index];
+            return root ? new Map(root.descendants().map(d => [d.data.id, d.value])) : null;
+        }
+
+        function play() {
+            if (!series || playTimer) return;
+            if (periodIndex === series.periods.length - 1) showPeriod(0);
+            playTimer = d3.interval(() => {
+                showPeriod(periodIndex + 1);
+                if (periodIndex === series.periods.length - 1) pause();
+            }, config.periodDuration);
+            updateTimeline();
+        }
+
+        function pause() {
+            if (!playTimer) return;
+            playTimer.stop();
+            playTimer = null;
+            updateTimeline();
+        }
+
+        // Count bubbles show the change since the previous period instead of their usual label
+        function setDeltaMode(enabled) {
+            config.bubbleLabel = enabled ? 'delta' : baseBubbleLabel;
+            updateLegend();
+            if (timelinePanel) timelinePanel.select('.timeline-delta input').property('checked', enabled);
+            if (originalRoot) redrawCountBubbles(allNodes);
+        }
+
+        function buildTimeline() {
+            if (!timelinePanel) return;
+            timelinePanel.html('');
+            if (!series) return;
+
+            timelinePanel.append('button')
+                .attr('type', 'button')
+                .attr('class', 'timeline-play')
+                .on('click', () => playTimer ? pause() : play());
+            timelinePanel.append('input')
+                .attr('type', 'range')
+                .attr('class', 'timeline-slider')
+                .attr('min', 0)
+                .attr('max', series.periods.length - 1)
+                .attr('step', 1)
+                .attr('aria-label', t('period'))
+                .on('input', function () {
+                    pause();
+                    showPeriod(+this.value);
+                });
+            timelinePanel.append('span')
+                .attr('class', 'timeline-label')
+                .attr('aria-live', 'polite');
+
+            const delta = timelinePanel.append('label').attr('class', 'timeline-delta');
+            delta.append('input')
+                .attr('type', 'checkbox')
+                .property('checked', config.bubbleLabel === 'delta')
+                .on('change', function () {
+                    setDeltaMode(this.checked);
+                });
+            delta.append('span').text(t('showChange'));
+            updateTimeline();
+        }
+
+        function updateTimeline() {
+            if (!timelinePanel || !series) return;
+            const period = series.periods[periodIndex];
+            timelinePanel.select('.timeline-play')
+                .text(playTimer ? '❚❚' : '▶')
+                .attr('aria-label', t(playTimer ? 'pause' : 'play'));
+            timelinePanel.select('.timeline-slider')
+                .property('value', periodIndex)
+                .attr('aria-valuetext', period);
+            timelinePanel.select('.timeline-label').text(period);
+        }
+
+        // Change of a node's value since the previous period: undefined without
+        // a previous period, null for nodes that were not there yet
+        function changeOf(d) {
+            if (!previousValues) return undefined;
+            const previous = previousValues.get(d.id);
+            return previous == null ? null : (d.value || 0) - previous;
+        }
+
+        function formatChange(change) {
+            if (change == null) return t('newNode');
+            if (change === 0) return '±0';
+            return change > 0 ? `+${formatNumber(change)}` : `−${formatNumber(-change)}`;
+        }
+
+        function bubbleColor(d) {
+            const change = config.bubbleLabel === 'delta' ? changeOf(d) : undefined;
+            if (change === undefined || change === 0) return config.colors.bubble;
+            return change === null || change > 0 ? config.colors.increase : config.colors.decrease;
+        }
+
+        // ------------------------------------------------------------------
+        // Live updates
+        // ------------------------------------------------------------------
+
+        const liveTransports = ['poll', 'sse', 'websocket'];
+        let liveSource = null; // { close() } of the running poll, EventSource or WebSocket
+
+        // Follow `source`, diffing every new version in through setData()
+        function connect(source, connectOptions = {}) {
+            disconnect();
+            dataSource = String(source);
+            const transport = connectOptions.transport || (/^wss?:/i.test(source) ? 'websocket' : 'poll');
+            if (!liveTransports.includes(transport)) {
+                throw new Error(`Unknown transport "${transport}", expected one of ${liveTransports.join(', ')}`);
+            }
+            const interval = connectOptions.interval || 5000;
+            let closed = false;
+
+            // SSE and WebSocket messages are JSON: a tree, periods of trees or rows
+            const receive = text => {
+                if (closed) return;
+                try {
+                    setData(toTree(parseText(text, 'json', source), connectOptions));
+                } catch (error) {
+                    showError(error);
+                }
+            };
+
+            if (transport === 'poll') {
+                let pending = false; // Skip a beat rather than stack up slow requests
+                const poll = () => {
+                    if (pending) return;
+                    pending = true;
+                    loadData(source, connectOptions)
+                        .then(data => { if (!closed) setData(data); })
+                        .catch(error => { if (!closed) showError(error); })
+                        .finally(() => { pending = false; });
+                };
+                const timer = d3.interval(poll, interval);
+                poll();
+                liveSource = { close() { closed = true; timer.stop(); } };
+            } else if (transport === 'sse') {
+                // EventSource reconnects by itself; the error stays up until the next message
+                const events = new EventSource(source);
+                events.onmessage = event => receive(event.data);
+                events.onerror = () => { if (!closed) showError(new Error(t('connectionRetrying', { source }))); };
+                liveSource = { close() { closed = true; events.close(); } };
+            } else {
+                let socket = null;
+                let retry = null;
+                const open = () => {
+                    socket = new WebSocket(source);
+                    socket.onmessage = event => receive(event.data);
+                    socket.onclose = () => {
+                        if (closed) return;
+                        showError(new Error(t('connectionReconnecting', { source })));
+                        retry = setTimeout(open, interval);
+                    };
+                };
+                open();
+                liveSource = { close() { closed = true; clearTimeout(retry); socket.close(); } };
+            }
+        }
+
+        function disconnect() {
+            if (liveSource) liveSource.close();
+            liveSource = null;
+        }
+
+        // ------------------------------------------------------------------
+        // Keyboard and screen reader support
+        // ------------------------------------------------------------------
+
+        let keyboardId = null; // Node holding the roving tab stop
+        let activatedId = null; // Node highlighted with Enter/Space
+
+        svg.attr('role', 'group')
+            .attr('aria-label', config.ariaLabel);
+        nodeLayer.attr('role', 'tree')
+            .attr('aria-label', config.ariaLabel);
+
+        // e.g. "Buddhism, 99 scholarships, in Religion"
+        function accessibleName(d, nodeMap) {
+            const parent = d.parentId ? (nodeMap.get(d.parentId) || nodeIndex.get(d.parentId)) : null;
+            return [
+                d.name,
+                d.value ? t('nodeValue', { value: formatValue(d.value), unit: config.unitLabel }) : null,
+                parent ? t('inParent', { parent: parent.name }) : null
+            ].filter(Boolean).join(', ');
+        }
+
+        // Only one node is in the tab order; arrow keys move between nodes
+        function updateTabStops() {
+            const nodes = nodeLayer.selectAll('.node:not(.exiting)');
+            if (!visibleById.has(keyboardId)) {
+                keyboardId = allNodes.length ? allNodes[0].id : null;
+            }
+            nodes.attr('tabindex', d => d.id === keyboardId ? 0 : -1);
+        }
+
+        function handleNodeKeydown(event, d) {
+            let target = null;
+            const siblings = () => nodeIndex.children(d.parentId)
+                .concat(otherNodes.get(`${d.parentId}#other`) || [])
+                .filter(n => visibleById.has(n.id))
+                .map(n => visibleById.get(n.id));
+
+            switch (event.key) {
+                case 'ArrowUp':
+                    target = findVisibleAncestor(d, visibleById);
+                    break;
+                case 'ArrowDown':
+                    target = visibleById.get((nodeIndex.children(d.id).find(n => visibleById.has(n.id)) || {}).id);
+                    break;
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    const list = siblings();
+                    const index = list.findIndex(n => n.id === d.id);
+                    const step = event.key === 'ArrowRight' ? 1 : -1;
+                    target = list[(index + step + list.length) % list.length];
+                    break;
+                }
+                case 'Home':
+                    target = allNodes[0];
+                    break;
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        toggleSelection(d);
+                        return;
+                    }
+                    activatedId = activatedId === d.id ? null : d.id;
+                    handleHover(event, d, activatedId === d.id);
+                    return;
+                case '+':
+                case '-':
+                    if (d.hasChildren && d.depth > 0 && (event.key === '-') !== collapsedNodes.has(d.id)) {
+                        toggleCollapse(d);
+                    }
+                    return;
+                case 'PageDown':
+                    event.preventDefault();
+                    drillDown(d);
+                    return;
+                case 'PageUp':
+                    event.preventDefault();
+                    drillUp();
+                    return;
+                case 'Escape':
+                    if (activatedId) {
+                        activatedId = null;
+                        handleHover(event, d, false);
+                    }
+                    return;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            if (target && target.id !== d.id) focusNodeElement(target);
+        }
+
+        // Move keyboard focus to a node, panning it into view if needed
+        function focusNodeElement(target) {
+            keyboardId = target.id;
+            updateTabStops();
+            const element = nodeLayer.selectAll('.node:not(.exiting)').filter(n => n.id === target.id).node();
+            if (!element) return;
+            element.focus();
+
+            const transform = d3.zoomTransform(svg.node());
+            const [x, y] = transform.apply([target.x, target.y]);
+            if (x < 0 || y < 0 || x > config.width || y > config.height) {
+                svg.transition()
+                    .duration(motion(400))
+                    .call(zoom.translateTo, target.x, target.y);
+            }
+        }
+
+        // Hidden table with the same data, for screen readers
+        const dataTable = options.dataTable === false ? null :
+            resolvePanel(options.dataTable, host, 'visually-hidden network-data-table');
+
+        // Rows are keyed by node id, so a filter only adds and removes the rows that
+        // changed, and cells are only written when their text did
+        function updateDataTable() {
+            if (!dataTable) return;
+
+            let table = dataTable.select('table');
+            if (table.empty()) {
+                table = dataTable.append('table');
+                table.append('caption');
+                table.append('thead').append('tr');
+                table.append('tbody');
+            }
+            table.select('caption').text(config.ariaLabel);
+            table.select('thead tr')
+                .selectAll('th')
+                .data([t('tableName'), t('tableLevel'), t('tablePath'), config.unitLabel.replace(/^./, c => c.toLocaleUpperCase(locale))])
+                .join('th')
+                .attr('scope', 'col')
+                .text(d => d);
+
+            table.select('tbody')
+                .selectAll('tr')
+                .data(allNodes, d => d.id)
+                .join(enter => enter.append('tr').call(row => {
+                    row.append('th').attr('scope', 'row');
+                    row.append('td');
+                    row.append('td');
+                    row.append('td');
+                }))
+                .order()
+                .each(function (d) {
+                    const texts = [d.name, d.depth, getAncestorNames(d).join(' › '), d.value ? formatValue(d.value) : ''];
+                    Array.from(this.children).forEach((cell, index) => {
+                        const text = String(texts[index]);
+                        if (cell.textContent !== text) cell.textContent = text;
+                    });
+                });
+        }
+
+        // ------------------------------------------------------------------
+        // Search
+        // ------------------------------------------------------------------
+
+        let searchQuery = '';
+        let searchMatches = []; // Nodes of any depth matching searchQuery, best first, shown or not
+        let searchIndex = -1; // Match currently centred by next/previous
+        let focusedId = null; // Node last centred through search or focusNode()
+
+        const searchPanel = resolvePanel(options.search, host, 'network-search');
+        let searchInput = null;
+        let searchList = null;
+        let searchCounter = null;
+
+        if (searchPanel) buildSearch();
+
+        function buildSearch() {
+            const listId = `${uid}-search-results`;
+            searchPanel.html('');
+
+            const row = searchPanel.append('div').attr('class', 'network-search-row');
+
+            searchInput = row.append('input')
+                .attr('type', 'search')
+                .attr('placeholder', t('searchPlaceholder'))
+                .attr('aria-label', t('searchLabel'))
+                .attr('role', 'combobox')
+                .attr('aria-autocomplete', 'list')
+                .attr('aria-controls', listId)
+                .attr('aria-expanded', false)
+                .on('input', function () {
+                    search(this.value);
+                    showSuggestions();
+                })
+                .on('keydown', function (event) {
+                    const items = searchList.selectAll('li');
+                    const active = items.nodes().findIndex(el => el.classList.contains('active'));
+                    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                        event.preventDefault();
+                        const count = items.size();
+                        if (count === 0) return;
+                        const step = event.key === 'ArrowDown' ? 1 : -1;
+                        const next = active === -1 ? (step > 0 ? 0 : count - 1) : (active + step + count) % count;
+                        items.classed('active', (d, i) => i === next);
+                    } else if (event.key === 'Enter') {
+                        event.preventDefault();
+                        if (active !== -1) {
+                            focusMatch(items.data()[active]);
+                        } else {
+                            stepSearch(1);
+                        }
+                        hideSuggestions();
+                    } else if (event.key === 'Escape') {
+                        if (searchList.classed('open')) {
+                            hideSuggestions();
+                        } else {
+                            this.value = '';
+                            search('');
+                        }
+                    }
+                })
+                .on('blur', () => schedule(hideSuggestions, 150));
+
+            row.append('button')
+                .attr('class', 'network-search-prev')
+                .attr('aria-label', t('previousMatch'))
+                .text('‹')
+                .on('click', () => stepSearch(-1));
+
+            searchCounter = row.append('span')
+                .attr('class', 'network-search-counter')
+                .attr('aria-live', 'polite');
+
+            row.append('button')
+                .attr('class', 'network-search-next')
+                .attr('aria-label', t('nextMatch'))
+                .text('›')
+                .on('click', () => stepSearch(1));
+
+            searchList = searchPanel.append('ul')
+                .attr('id', listId)
+                .attr('class', 'network-search-results')
+                .attr('role', 'listbox');
+
+            updateSearchCounter();
+        }
+
+        // Match `query` against every node, at any depth and whether shown, collapsed or filtered out,
+        // and highlight the results; stepping to a hidden match reveals it (see revealNode())
+        function search(query) {
+            searchQuery = (query || '').trim();
+            searchIndex = -1;
+
+            searchMatches = searchQuery ? originalNodes
+                .map(node => ({ node, match: fuzzyMatch(searchQuery, node.name) }))
+                .filter(d => d.match)
+                .sort((a, b) => b.match.score - a.match.score ||
+                    a.node.depth - b.node.depth ||
+                    (b.node.value || 0) - (a.node.value || 0))
+                .map(d => d.node) : [];
+
+            if (searchInput && searchInput.property('value').trim() !== searchQuery) {
+                searchInput.property('value', searchQuery);
+            }
+            updateSearchCounter();
+            restoreHighlight();
+            dispatch.call('search', instance, searchQuery, searchMatches);
+            scheduleUrlStateWrite();
+            return searchMatches;
+        }
+
+        // Re-run the current search after the data or what is shown changed
+        function refreshSearch() {
+            if (!searchQuery) return;
+            const current = searchMatches[searchIndex];
+            search(searchQuery);
+            if (current) searchIndex = searchMatches.findIndex(n => n.id === current.id);
+            updateSearchCounter();
+        }
+
+        function stepSearch(step) {
+            if (searchMatches.length === 0) return;
+            const count = searchMatches.length;
+            searchIndex = searchIndex === -1 ? (step > 0 ? 0 : count - 1) : (searchIndex + step + count) % count;
+            focusMatch(searchMatches[searchIndex]);
+        }
+
+        function focusMatch(node) {
+            revealNode(node);
+            searchIndex = searchMatches.findIndex(n => n.id === node.id);
+            updateSearchCounter();
+            highlightSearch();
+            const shown = visibleById.get(node.id);
+            if (shown) focusNode(shown);
+        }
+
+        // Centre a node and remember it as the focused one
+        function focusNode(node, animate = true) {
+            focusedId = node.id;
+            zoomToNode(node, animate ? 750 : 0);
+            dispatch.call('focus', instance, node);
+            scheduleUrlStateWrite();
+        }
+
+        // Show a node that is collapsed, filtered out, rolled into "Other" or outside the drill-down:
+        // its ancestors are expanded and its level and category shown, and if that is not enough,
+        // the value range, top N and removing facet filters are lifted
+        function revealNode(node) {
+            if (visibleById.has(node.id)) return;
+            const path = [node, ...nodeIndex.ancestors(node.id).map(id => nodeIndex.get(id))];
+            path.forEach(n => {
+                if (n !== node) collapsedNodes.delete(n.id);
+                if (n.depth > 0) visibleLevels.add(n.depth);
+                if (n.depth === 1) visibleCategories.add(n.name);
+            });
+            if (drillId && !path.some(n => n.id === drillId)) {
+                drillId = null;
+                dispatch.call('drill', instance, null);
+            }
+            syncFilterInputs();
+            applyFilters();
+            if (visibleById.has(node.id)) return;
+
+            valueRange = null;
+            topN = null;
+            if (facetMode === 'remove') facetMode = 'dim';
+            updateValueFilter();
+            updateFacetFilter();
+            applyFilters();
+        }
+
+        function updateSearchCounter() {
+            if (!searchCounter) return;
+            searchCounter.text(!searchQuery ? '' :
+                searchMatches.length === 0 ? t('noMatches') :
+                    `${searchIndex === -1 ? '–' : formatValue(searchIndex + 1)} / ${formatValue(searchMatches.length)}`);
+            searchPanel.selectAll('button').property('disabled', searchMatches.length === 0);
+        }
+
+        function showSuggestions() {
+            const suggestions = searchMatches.slice(0, 8);
+
+            const items = searchList.selectAll('li')
+                .data(suggestions, d => d.id)
+                .join('li')
+                .attr('role', 'option')
+                .classed('active', false)
+                .on('mousedown', (event, d) => {
+                    event.preventDefault(); // Keep focus in the input
+                    focusMatch(d);
+                    hideSuggestions();
+                });
+
+            // Highlight the matched characters without going through innerHTML
+            items.html('');
+            items.each(function (d) {
+                const item = d3.select(this);
+                const name = item.append('span').attr('class', 'network-search-name');
+                const positions = new Set(fuzzyMatch(searchQuery, d.name).positions);
+                Array.from(d.name).forEach((char, i) => {
+                    (positions.has(i) ? name.append('mark') : name.append('span')).text(char);
+                });
+                const path = getAncestorNames(d).slice(1);
+                item.append('span')
+                    .attr('class', 'network-search-path')
+                    .text([...path, d.value ? formatNumber(d.value) : null].filter(Boolean).join(' › '));
+            });
+
+            const open = suggestions.length > 0;
+            searchList.classed('open', open);
+            searchInput.attr('aria-expanded', open);
+        }
+
+        function hideSuggestions() {
+            if (!searchList) return;
+            searchList.classed('open', false);
+            searchInput.attr('aria-expanded', false);
+        }
+
+        // Matches and their ancestor paths stay lit; the rest is dimmed
+        function highlightSearch() {
+            const matchIds = new Set(searchMatches.map(n => n.id));
+            const pathIds = new Set();
+            searchMatches.forEach(n => {
+                pathIds.add(n.id);
+                getAncestors(n.id).forEach(id => pathIds.add(id));
+            });
+            const current = searchMatches[searchIndex];
+            setHighlight({ ids: pathIds, matches: matchIds, current: current ? current.id : null });
+
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .classed('search-match', d => matchIds.has(d.id))
+                .classed('search-current', d => current && d.id === current.id);
+            litPaths(pathIds, matchIds);
+        }
+
+        // Light the nodes in `pathIds` and the links between them, make `matchIds` glow, dim the rest
+        function litPaths(pathIds, matchIds) {
+            nodeLayer.selectAll('.node:not(.exiting)')
+                .transition().duration(200)
+                .style('opacity', d => pathIds.has(d.id) ? 1 : 0.2)
+                .select('.node-circle')
+                .style('filter', d => nodeGlow(d, matchIds.has(d.id) ? 'active' : pathIds.has(d.id) ? 'path' : null));
+
+            linkLayer.selectAll('.link:not(.exiting)')
+                .transition().duration(200)
+                .style('opacity', l => pathIds.has(l.source.id) && pathIds.has(l.target.id) ? 0.9 : 0.1)
+                .attr('stroke-width', l => pathIds.has(l.source.id) && pathIds.has(l.target.id) ? 3 : 1.5);
+        }
+
+        // Smoothly pan/zoom so that `node` sits in the centre
+        function zoomToNode(node, duration = 750) {
+            const current = d3.zoomTransform(svg.node());
+            const scale = Math.min(zoom.scaleExtent()[1], Math.max(current.k, 1.5));
+            const [x, y] = positionOf(node);
+            const transform = d3.zoomIdentity
+                .translate(config.width / 2, config.height / 2)
+                .scale(scale)
+                .translate(-x, -y);
+            svg.transition()
+                .duration(motion(duration))
+                .call(zoom.transform, transform);
+        }
+
+        // ------------------------------------------------------------------
+        // Export
+        // ------------------------------------------------------------------
+
+        const exportPanel = resolvePanel(options.exportMenu, host, 'network-export');
+        if (exportPanel) buildExportMenu();
+
+        function buildExportMenu() {
+            const menuId = `${uid}-export-menu`;
+            exportPanel.html('');
+
+            const toggle = exportPanel.append('button')
+                .attr('class', 'network-export-toggle')
+                .attr('aria-haspopup', 'true')
+                .attr('aria-controls', menuId)
+                .attr('aria-expanded', false)
+                .text(t('exportMenu'))
+                .on('click', () => setOpen(!exportPanel.classed('open')));
+
+            const menu = exportPanel.append('div')
+                .attr('id', menuId)
+                .attr('class', 'network-export-menu')
+                .attr('role', 'menu');
+
+            menu.append('button')
+                .attr('role', 'menuitem')
+                .text(t('exportSVG'))
+                .on('click', () => {
+                    downloadBlob(new Blob([exportSVG()], { type: 'image/svg+xml' }), `${config.exportName}.svg`);
+                    setOpen(false);
+                });
+
+            const pngRow = menu.append('div').attr('class', 'network-export-png');
+            pngRow.append('button')
+                .attr('role', 'menuitem')
+                .text(t('exportPNG'))
+                .on('click', () => {
+                    exportPNG({ scale: +scaleSelect.property('value') })
+                        .then(blob => downloadBlob(blob, `${config.exportName}.png`))
+                        .catch(showError);
+                    setOpen(false);
+                });
+            const scaleSelect = pngRow.append('select')
+                .attr('aria-label', t('pngScale'));
+            scaleSelect.selectAll('option')
+                .data([1, 2, 3, 4])
+                .join('option')
+                .attr('value', d => d)
+                .property('selected', d => d === 2)
+                .text(d => `${formatValue(d)}×`);
+
+            menu.append('button')
+                .attr('role', 'menuitem')
+                .text(t('exportData'))
+                .on('click', () => {
+                    downloadBlob(new Blob([exportCSV()], { type: 'text/csv' }), `${config.exportName}.csv`);
+                    setOpen(false);
+                });
+
+            function setOpen(open) {
+                exportPanel.classed('open', open);
+                toggle.attr('aria-expanded', open);
+            }
+        }
+
+        // Serialize the chart as it is framed right now, with the styles it needs
+        function exportSVG() {
+            const clone = svg.node().cloneNode(true);
+            const copy = d3.select(clone)
+                .attr('xmlns', 'http://www.w3.org/2000/svg')
+                .attr('version', '1.1')
+                .attr('viewBox', `0 0 ${config.width} ${config.height}`);
+
+            // Drop elements that are on their way out and interaction-only state
+            copy.selectAll('.exiting').remove();
+
+            // Canvas mode: the painted network goes in as an image
+            if (canvasMode) {
+                copy.insert('image', '.zoom-group')
+                    .attr('width', config.width)
+                    .attr('height', config.height)
+                    .attr('href', canvas.node().toDataURL('image/png'));
+            }
+
+            const background = exportBackground();
+            if (background) {
+                copy.insert('rect', ':first-child')
+                    .attr('width', '100%')
+                    .attr('height', '100%')
+                    .attr('fill', background);
+            }
+
+            // The theme's custom properties go along, for the rules that use them
+            const css = collectStyles(svg.node());
+            const fontFamily = window.getComputedStyle(svg.node()).fontFamily;
+            const properties = themeEntries().map(([key, value]) => `${themeProperty(key)}: ${value}; `).join('');
+            copy.insert('style', ':first-child')
+                .text(`svg { ${properties}font-family: ${fontFamily}; }\n${css}`);
+
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+        }
+
+        // style.css rules that apply to something inside `node`
+        function collectStyles(node) {
+            const rules = [];
+            Array.from(document.styleSheets).forEach(sheet => {
+                let cssRules;
+                try {
+                    cssRules = sheet.cssRules;
+                } catch (error) {
+                    return; // Cross-origin stylesheet, not readable
+                }
+                Array.from(cssRules || []).forEach(rule => {
+                    if (!rule.selectorText) return;
+                    try {
+                        if (node.matches(rule.selectorText) || node.querySelector(rule.selectorText)) {
+                            rules.push(rule.cssText);
+                        }
+                    } catch (error) {
+                        // Selectors the browser cannot match from script (e.g. ::-webkit-*)
+                    }
+                });
+            });
+            return rules.join('\n');
+        }
+
+        // Rasterize exportSVG() through an offscreen canvas (or repaint at `scale` in canvas mode)
+        function exportPNG({ scale = 2 } = {}) {
+            if (canvasMode) {
+                const output = document.createElement('canvas');
+                output.width = Math.round(config.width * scale);
+                output.height = Math.round(config.height * scale);
+                const context = output.getContext('2d');
+                const background = exportBackground();
+                if (background) {
+                    context.fillStyle = background;
+                    context.fillRect(0, 0, output.width, output.height);
+                }
+                paintCanvas(context, scale);
+                return new Promise((resolve, reject) => {
+                    output.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+                });
+            }
+
+            const source = exportSVG();
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(config.width * scale);
+                    canvas.height = Math.round(config.height * scale);
+                    const context = canvas.getContext('2d');
+                    context.scale(scale, scale);
+                    context.drawImage(image, 0, 0, config.width, config.height);
+                    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+                };
+                image.onerror = () => reject(new Error('PNG export failed: the SVG could not be rasterized'));
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+            });
+        }
+
+        // Visible (filtered and aggregated) nodes inside the current frame, as CSV
+        function exportCSV() {
+            const transform = d3.zoomTransform(svg.node());
+            const inView = node => {
+                const [x, y] = transform.apply(positionOf(node));
+                const r = node.radius * transform.k;
+                return x + r >= 0 && x - r <= config.width && y + r >= 0 && y - r <= config.height;
+            };
+
+            const rows = allNodes.filter(inView).map(node => ({
+                name: node.name,
+                depth: node.depth,
+                parent_path: getAncestorNames(node).join(' › '),
+                value: node.value || 0
+            }));
+            return d3.csvFormat(rows, ['name', 'depth', 'parent_path', 'value']);
+        }
+
+        // Names from the root down to the parent of `node`
+        function getAncestorNames(node) {
+            const names = [];
+            let current = nodeIndex.get(node.parentId);
+            while (current) {
+                names.unshift(current.name);
+                current = nodeIndex.get(current.parentId);
+            }
+            return names;
+        }
+
+        // ------------------------------------------------------------------
+        // URL state
+        // ------------------------------------------------------------------
+
+        // Snapshot of everything a shared link should reproduce
+        function getState() {
+            const transform = d3.zoomTransform(svg.node());
+            const focused = visibleById.get(focusedId);
+            const categories = (originalRoot && originalRoot.children || []).map(c => c.data.name);
+            const levels = d3.range(1, (d3.max(originalNodes, d => d.depth) || 0) + 1);
+            return {
+                // null means "all visible"
+                categories: categories.every(c => visibleCategories.has(c)) ? null :
+                    categories.filter(c => visibleCategories.has(c)),
+                levels: levels.every(l => visibleLevels.has(l)) ? null :
+                    levels.filter(l => visibleLevels.has(l)),
+                range: valueRange,
+                top: topN,
+                facets: facetFilters.size ? Object.fromEntries([...facetFilters].map(([key, filter]) =>
+                    [key, filter.exclude ? { exclude: [...filter.exclude] } : { range: filter.range }])) : null,
+                facetMode: facetMode === config.facetMode ? null : facetMode,
+                relations: relationsShown === (config.showRelations !== false) ? null : relationsShown,
+                // Scale plus the data point in the centre of the view, so links survive other window sizes
+                zoom: {
+                    k: transform.k,
+                    x: (config.width / 2 - transform.x) / transform.k,
+                    y: (config.height / 2 - transform.y) / transform.k
+                },
+                focus: focused ? [...getAncestorNames(focused).slice(1), focused.name] : null,
+                query: searchQuery || null,
+                selection: selectedIds.size ? getSelection().map(node => [...getAncestorNames(node).slice(1), node.name]) : null,
+                view: currentView === 'network' ? null : currentView,
+                drill: drillId && nodeIndex.get(drillId) ?
+                    [...getAncestorNames(nodeIndex.get(drillId)).slice(1), nodeIndex.get(drillId).name] : null,
+                period: series ? series.periods[periodIndex] : null
+            };
         }
-    };
 
-    // Setup SVG
-    const svg = d3.select('#visualization')
-        .append('svg')
-        .attr('width', config.width)
-        .attr('height', config.height);
+        function setState(state, animate = true) {
+            if (series && state.period != null && series.periods.includes(String(state.period))) {
+                showPeriod(series.periods.indexOf(String(state.period)));
+            }
+            const categories = (originalRoot && originalRoot.children || []).map(c => c.data.name);
+            const maxDepth = d3.max(originalNodes, d => d.depth) || 0;
+
+            visibleCategories = new Set(state.categories || categories);
+            visibleLevels = new Set([0, ...(state.levels || d3.range(1, maxDepth + 1))]);
+            valueRange = state.range && (state.range[0] != null || state.range[1] != null) ? state.range : null;
+            topN = state.top > 0 ? state.top : null;
+            facetFilters = new Map(Object.entries(state.facets || {})
+                .filter(([key]) => facetFields.some(field => field.key === key))
+                .map(([key, filter]) => [key, filter.exclude ?
+                    { exclude: new Set(filter.exclude.map(String)) } : { range: filter.range || [null, null] }]));
+            facetMode = state.facetMode === 'dim' || state.facetMode === 'remove' ? state.facetMode : config.facetMode;
+            relationsShown = typeof state.relations === 'boolean' ? state.relations : config.showRelations !== false;
+            if (relationPanel) relationPanel.select('input').property('checked', relationsShown);
+            syncFilterInputs();
+            updateValueFilter();
+            updateFacetFilter();
+            // A missing view leaves the current one; null is the network
+            const view = state.view === undefined ? currentView : views.includes(state.view) ? state.view : 'network';
+            if (view !== currentView) {
+                currentView = view;
+                updateViewSwitcher();
+                dispatch.call('view', instance, view);
+            }
+            // A missing drill path leaves the current centre; null is the whole tree
+            if (state.drill !== undefined) {
+                const drill = state.drill && findNodeByPath(state.drill, originalNodes);
+                drillId = drill ? drill.id : null;
+            }
+            applyFilters();
 
-    const g = svg.append('g')
-        .attr('class', 'zoom-group');
+            search(state.query || '');
 
-    const tooltip = d3.select('#tooltip');
+            // A missing selection leaves the current one
+            if (state.selection !== undefined) {
+                setSelection((state.selection || [])
+                    .map(names => findNodeByPath(names, originalNodes))
+                    .filter(Boolean)
+                    .map(node => node.id));
+            }
 
-    // Setup zoom behavior
-    const zoom = d3.zoom()
-        .scaleExtent([0.3, 3])  // Min zoom: 30%, Max zoom: 300%
-        .on('zoom', function (event) {
-            g.attr('transform', event.transform);
-        });
+            focusedId = null;
+            if (state.focus) {
+                const focused = findNodeByPath(state.focus);
+                if (focused) {
+                    focusedId = focused.id;
+                    const index = searchMatches.findIndex(n => n.id === focused.id);
+                    if (index !== -1) {
+                        searchIndex = index;
+                        updateSearchCounter();
+                        highlightSearch();
+                    }
+                }
+            }
 
-    // Apply zoom to SVG
-    svg.call(zoom);
-
-    // Set initial zoom transform to center the visualization
-    const initialTransform = d3.zoomIdentity
-        .translate(config.width / 2, config.height / 2)
-        .scale(1);
-
-    svg.call(zoom.transform, initialTransform);
-
-    // Create gradients dynamically
-    const defs = svg.append('defs');
-    ['root', 'category', 'subcategory', 'leaf'].forEach((type, i) => {
-        const gradient = defs.append('radialGradient').attr('id', `${type}Gradient`);
-        gradient.append('stop').attr('offset', '0%').attr('stop-color', config.colors.gradients[i]);
-        gradient.append('stop').attr('offset', '100%')
-            .attr('stop-color', d3.color(config.colors.gradients[i]).darker(0.5));
-    });
-
-    // Global storage for all nodes (for path finding)
-    let allNodes = [];
-    let originalNodes = [];
-    let originalLinks = [];
-    let originalRoot = null;
-    let visibleCategories = new Set(); // Track which categories are visible
-    let visibleLevels = new Set(); // Track which depth levels are visible (0=root, 1=category, 2=subcategory, etc.)
-
-    // Load and render
-    d3.json('data.json').then(data => render(data));
-
-    function render(data) {
-        const root = d3.hierarchy(data)
-            .sum(d => d.value || 0)
-            .sort((a, b) => b.value - a.value);
-
-        originalRoot = root; // Store original root
-
-        // Calculate positions
-        const nodes = getPositions(root);
-        allNodes = nodes;  // Store globally for path finding
-        originalNodes = [...nodes]; // Store original nodes
-
-        const links = root.links().map(l => ({
-            source: l.source.data.id,
-            target: l.target.data.id,
-            type: l.target.depth === 1 ? 'primary' : 'secondary'
-        }));
-        originalLinks = [...links]; // Store original links
-
-        // Build category filter UI
-        buildCategoryFilter(root);
-
-        // Build level filter UI
-        buildLevelFilter(root);
-
-        // Apply initial filtering (all visible by default)
-        applyFilters();
-
-        // Force simulation
-        const simulation = d3.forceSimulation(nodes)
-            .force('link', d3.forceLink(links).id(d => d.id).distance(d => {
-                // Adjust distance based on link type
-                return d.type === 'primary' ? 220 : 80;
-            }).strength(0.5))
-            .force('charge', d3.forceManyBody().strength(-50))
-            .force('collision', d3.forceCollide().radius(d => d.radius + 10))
-            .alphaDecay(0.05)
-            .on('tick', () => {
-                // Update parent positions during simulation
-                updateParentPositions(nodes, links);
-                update(nodes, links);
-            })
-            .on('end', () => {
-                simulation.stop();
-                // Redraw count bubbles with final positions
-                redrawCountBubbles(nodes);
-                animateEntrance();
+            if (state.zoom) {
+                const { k, x, y } = state.zoom;
+                const transform = d3.zoomIdentity
+                    .translate(config.width / 2, config.height / 2)
+                    .scale(k)
+                    .translate(-x, -y);
+                (animate ? svg.transition().duration(750) : svg).call(zoom.transform, transform);
+            }
+        }
+
+        // Checkbox states follow visibleCategories/visibleLevels
+        function syncFilterInputs() {
+            if (categoryFilterPanel) {
+                categoryFilterPanel.selectAll('.category-filter-item')
+                    .each(function () {
+                        const visible = visibleCategories.has(this.getAttribute('data-category'));
+                        d3.select(this).classed('hidden', !visible)
+                            .select('input').property('checked', visible);
+                    });
+            }
+            if (levelFilterPanel) {
+                levelFilterPanel.selectAll('.category-filter-item')
+                    .each(function () {
+                        const visible = visibleLevels.has(+this.getAttribute('data-level'));
+                        d3.select(this).classed('hidden', !visible)
+                            .select('input').property('checked', visible);
+                    });
+            }
+        }
+
+        // Node from a list of names below the root, e.g. ['Religion', 'Buddhism']
+        function findNodeByPath(names, nodes = allNodes) {
+            return nodes.find(node => {
+                if (node.name !== names[names.length - 1]) return false;
+                const path = [...getAncestorNames(node).slice(1), node.name];
+                return path.length === names.length && path.every((name, i) => name === names[i]);
+            });
+        }
+
+        function urlParams() {
+            const raw = urlStateMode === 'query' ? window.location.search : window.location.hash;
+            return new URLSearchParams(raw.replace(/^[#?]/, ''));
+        }
+
+        function stateToParams(state, params) {
+            ['cat', 'level', 'min', 'max', 'top', 'fx', 'fr', 'fm', 'rel', 'z', 'focus', 'q', 'sel', 'view', 'drill', 'period'].forEach(name => params.delete(urlKey(name)));
+            if (state.categories) state.categories.forEach(c => params.append(urlKey('cat'), c));
+            if (state.levels) state.levels.forEach(l => params.append(urlKey('level'), l));
+            if (state.categories && state.categories.length === 0) params.append(urlKey('cat'), '');
+            if (state.levels && state.levels.length === 0) params.append(urlKey('level'), '');
+            if (state.range && state.range[0] != null) params.set(urlKey('min'), state.range[0]);
+            if (state.range && state.range[1] != null) params.set(urlKey('max'), state.range[1]);
+            if (state.top) params.set(urlKey('top'), state.top);
+            // Facets as field>value (values left out) and field>min>max
+            Object.entries(state.facets || {}).forEach(([key, filter]) => {
+                if (filter.exclude) filter.exclude.forEach(value => params.append(urlKey('fx'), joinPath([key, value])));
+                else params.append(urlKey('fr'), joinPath([key, ...filter.range.map(bound => bound == null ? '' : bound)]));
             });
+            if (state.facetMode) params.set(urlKey('fm'), state.facetMode);
+            if (state.relations != null) params.set(urlKey('rel'), state.relations ? 1 : 0);
+            if (state.zoom) {
+                const { k, x, y } = state.zoom;
+                params.set(urlKey('z'), [k.toFixed(3), x.toFixed(1), y.toFixed(1)].map(Number).join(','));
+            }
+            if (state.focus) params.set(urlKey('focus'), joinPath(state.focus));
+            if (state.query) params.set(urlKey('q'), state.query);
+            if (state.selection) state.selection.forEach(names => params.append(urlKey('sel'), joinPath(names)));
+            if (state.view) params.set(urlKey('view'), state.view);
+            if (state.drill) params.set(urlKey('drill'), joinPath(state.drill));
+            if (state.period != null) params.set(urlKey('period'), state.period);
+            return params;
+        }
 
-        setTimeout(() => {
-            simulation.stop();
-            // Redraw count bubbles with final positions
-            redrawCountBubbles(nodes);
-        }, 2000);
+        function paramsToState(params) {
+            const list = name => params.has(urlKey(name)) ? params.getAll(urlKey(name)).filter(v => v !== '') : null;
+            const zoomParts = (params.get(urlKey('z')) || '').split(',').map(Number);
+            const bound = name => params.has(urlKey(name)) && isFinite(params.get(urlKey(name))) ? Number(params.get(urlKey(name))) : null;
+            return {
+                categories: list('cat'),
+                levels: list('level') && list('level').map(Number),
+                range: params.has(urlKey('min')) || params.has(urlKey('max')) ?
+                    [bound('min'), bound('max')] : null,
+                top: Number(params.get(urlKey('top'))) || null,
+                facets: params.has(urlKey('fx')) || params.has(urlKey('fr')) ? facetParams(params) : null,
+                facetMode: params.get(urlKey('fm')),
+                relations: params.has(urlKey('rel')) ? params.get(urlKey('rel')) === '1' : null,
+                zoom: zoomParts.length === 3 && zoomParts.every(isFinite) ?
+                    { k: zoomParts[0], x: zoomParts[1], y: zoomParts[2] } : null,
+                focus: params.has(urlKey('focus')) ? splitPath(params.get(urlKey('focus'))) : null,
+                query: params.get(urlKey('q')),
+                selection: params.has(urlKey('sel')) ? params.getAll(urlKey('sel')).map(splitPath) : null,
+                view: params.get(urlKey('view')),
+                drill: params.has(urlKey('drill')) ? splitPath(params.get(urlKey('drill'))) : null,
+                period: params.get(urlKey('period'))
+            };
+        }
 
-        // Note: drawLinks and drawNodes are now called in applyFilters()
-    }
+        const urlKey = name => `${config.urlStatePrefix}${name}`;
 
-    // Build category filter UI dynamically
-    function buildCategoryFilter(root) {
-        const filterPanel = d3.select('#category-filter');
-        filterPanel.html(''); // Clear existing
+        // Paths in the URL are joined with '>', which is escaped (as %3E) inside names
+        const joinPath = names => names.map(name => escapeName(name, '>')).join('>');
+        const splitPath = text => text.split('>').map(unescapeName);
 
-        // Get first-level categories
-        const categories = root.children || [];
+        function facetParams(params) {
+            const facets = {};
+            params.getAll(urlKey('fx')).forEach(param => {
+                const [key, value = ''] = splitPath(param);
+                facets[key] = facets[key] || { exclude: [] };
+                if (facets[key].exclude) facets[key].exclude.push(value);
+            });
+            params.getAll(urlKey('fr')).forEach(param => {
+                const [key, min, max] = splitPath(param);
+                const bound = text => text === '' || !isFinite(text) ? null : Number(text);
+                facets[key] = { range: [bound(min), bound(max)] };
+            });
+            return facets;
+        }
 
-        if (categories.length === 0) return;
+        // Collapse bursts of changes (typing, zoom gestures) into one history entry
+        function scheduleUrlStateWrite() {
+            if (!urlStateMode || restoringUrlState || !originalRoot) return;
+            clearTimeout(urlWriteTimer);
+            urlWriteTimer = setTimeout(writeUrlState, 400);
+        }
 
-        // Create header
-        filterPanel.append('h3')
-            .text('Filter Categories');
+        function writeUrlState() {
+            const params = stateToParams(getState(), urlParams());
+            const serialized = params.toString();
+            if (serialized === lastUrlState) return;
 
-        // Create checkbox for each category
-        const filterContainer = filterPanel.append('div')
-            .attr('class', 'filter-container');
+            const first = lastUrlState === null;
+            lastUrlState = serialized;
+            const url = new URL(window.location.href);
+            if (urlStateMode === 'query') {
+                url.search = serialized;
+            } else {
+                url.hash = serialized;
+            }
+            // The state restored on load replaces the entry; later changes add to history
+            window.history[first ? 'replaceState' : 'pushState'](null, '', url);
+        }
 
-        categories.forEach(category => {
-            const categoryName = category.data.name;
-            visibleCategories.add(categoryName); // All visible by default
+        function restoreUrlState(animate) {
+            const params = urlParams();
+            const ours = ['cat', 'level', 'min', 'max', 'top', 'fx', 'fr', 'fm', 'rel', 'z', 'focus', 'q', 'sel', 'view', 'drill', 'period'].some(name => params.has(urlKey(name)));
+            if (!ours) return;
+
+            const state = paramsToState(params);
+            restoringUrlState = true;
+            try {
+                setState(state, animate);
+            } finally {
+                restoringUrlState = false;
+            }
+            // Normalised form of what was read (the zoom may still be animating
+            // towards it), so settling down does not add a history entry
+            lastUrlState = stateToParams(Object.assign(getState(), state.zoom ? { zoom: state.zoom } : {}), params).toString();
+        }
 
-            const item = filterContainer.append('div')
-                .attr('class', 'category-filter-item')
-                .attr('data-category', categoryName);
+        function onUrlChange() {
+            if (!originalRoot) return;
+            if (urlParams().toString() === lastUrlState) return;
+            restoreUrlState(true);
+        }
 
-            item.append('input')
-                .attr('type', 'checkbox')
-                .attr('id', `filter-${categoryName}`)
-                .attr('checked', true)
-                .on('change', function () {
-                    const isChecked = this.checked;
-                    if (isChecked) {
-                        visibleCategories.add(categoryName);
-                        item.classed('hidden', false);
-                    } else {
-                        visibleCategories.delete(categoryName);
-                        item.classed('hidden', true);
-                    }
-                    applyFilters();
-                });
+        if (urlStateMode) {
+            window.addEventListener('popstate', onUrlChange);
+            window.addEventListener('hashchange', onUrlChange);
+        }
 
-            item.append('label')
-                .attr('for', `filter-${categoryName}`)
-                .text(categoryName);
-        });
+        function animateEntrance() {
+            if (prefersReducedMotion()) return;
 
-        // Add action buttons
-        const actions = filterPanel.append('div')
-            .attr('class', 'category-filter-actions');
+            g.selectAll('.node-circle')
+                .style('opacity', 0)
+                .transition().duration(600).style('opacity', 1);
 
-        actions.append('button')
-            .text('Show All')
-            .on('click', function () {
-                categories.forEach(cat => {
-                    visibleCategories.add(cat.data.name);
-                    d3.select(`#filter-${cat.data.name}`).property('checked', true);
-                    d3.select(`[data-category="${cat.data.name}"]`).classed('hidden', false);
-                });
-                applyFilters();
+            g.selectAll('.node-text')
+                .style('opacity', 0)
+                .transition().duration(500).delay(100).style('opacity', 1);
+
+            // Count bubbles and links are animated in redrawCountBubbles()
+        }
+
+        // ------------------------------------------------------------------
+        // Theme
+        // ------------------------------------------------------------------
+
+        let themeSetting = config.theme || 'auto'; // As asked for: 'auto', a theme name or a theme object
+        let themeName = null; // Theme in use: a key of `themes`, or 'custom' for an object
+        let theme = null; // Resolved theme, the light theme filling in missing keys
+
+        const themeTarget = options.themeTarget ? d3.select(options.themeTarget) : null;
+        const darkScheme = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        const onSchemeChange = () => {
+            if (themeSetting === 'auto') setTheme('auto');
+        };
+        if (darkScheme && darkScheme.addEventListener) darkScheme.addEventListener('change', onSchemeChange);
+
+        const themePanel = resolvePanel(options.themeSwitcher, host, 'theme-switcher');
+        if (themePanel) buildThemeSwitcher();
+        applyTheme();
+
+        function setTheme(value) {
+            themeSetting = value || 'auto';
+            applyTheme();
+            updateThemeSwitcher();
+            if (originalRoot) restyle();
+            dispatch.call('theme', instance, themeName);
+        }
+
+        function applyTheme() {
+            const custom = typeof themeSetting === 'object';
+            themeName = custom ? 'custom' :
+                themeSetting === 'auto' ? (darkScheme && darkScheme.matches ? 'dark' : 'light') : themeSetting;
+            if (!custom && !themes[themeName]) themeName = 'light';
+
+            const base = custom ? themeSetting : themes[themeName];
+            theme = Object.assign({}, themes.light, base, {
+                colors: Object.assign({}, themes.light.colors, base.colors)
             });
+            config.colors = Object.assign({}, theme.colors, options.colors);
 
-        actions.append('button')
-            .text('Hide All')
-            .on('click', function () {
-                categories.forEach(cat => {
-                    visibleCategories.delete(cat.data.name);
-                    d3.select(`#filter-${cat.data.name}`).property('checked', false);
-                    d3.select(`[data-category="${cat.data.name}"]`).classed('hidden', true);
-                });
-                applyFilters();
+            const properties = themeEntries();
+            themedElements().forEach(element => {
+                properties.forEach(([key, value]) => element.style.setProperty(themeProperty(key), value));
+                element.setAttribute('data-theme', themeName);
             });
-    }
+            updateGradients();
+        }
 
-    // Build level filter UI dynamically
-    function buildLevelFilter(root) {
-        const levelFilterPanel = d3.select('#level-filter');
-        levelFilterPanel.html(''); // Clear existing
+        // The theme's CSS values, without its colours and name
+        function themeEntries() {
+            return Object.entries(theme).filter(([key, value]) => key !== 'name' && typeof value === 'string');
+        }
 
-        // Find all depth levels in the data
-        const maxDepth = d3.max(originalNodes, d => d.depth) || 0;
-        const levelNames = ['Root', 'Categories', 'Subcategories', 'Sub-subcategories', 'Leaves'];
+        // The chart and its panels, plus themeTarget
+        function themedElements() {
+            return [...new Set([...panelElements(), themeTarget && themeTarget.node()].filter(Boolean))];
+        }
 
-        // Initialize all levels as visible
-        for (let i = 0; i <= maxDepth; i++) {
-            visibleLevels.add(i);
+        function panelElements() {
+            return [host, ...panels].map(panel => panel.node()).filter(Boolean);
         }
 
-        if (maxDepth === 0) return; // No levels to filter
+        function updateGradients() {
+            gradients.each(function (type, i) {
+                const color = config.colors.gradients[i];
+                d3.select(this).selectAll('stop')
+                    .attr('stop-color', (d, j) => j ? d3.color(color).darker(0.5) : color);
+            });
+        }
 
-        // Create header
-        levelFilterPanel.append('h3')
-            .text('Filter Levels');
+        // Colours picked when things were drawn: node fills and scales are worked out again,
+        // the rest is restyled in place and the highlight redone with the new glows
+        function restyle() {
+            encodings = buildEncodings(originalRoot, series ? series.roots.filter(Boolean) : [originalRoot]);
+            updateLegend();
+            const paints = new Map(originalRoot.descendants().map(node => [node.data.id, paintOf(node)]));
+            originalNodes.forEach(node => Object.assign(node, paints.get(node.id)));
+
+            nodeLayer.selectAll('.node-subtitle, .count-text').attr('fill', theme.nodeText);
+            nodeLayer.selectAll('.count-link').attr('stroke', config.colors.bubble);
+            applyFilters();
+            redrawCountBubbles(allNodes);
+        }
 
-        // Create checkbox for each level (skip root level 0)
-        const levelContainer = levelFilterPanel.append('div')
-            .attr('class', 'filter-container');
+        // Drop shadow of a node circle; `state` is 'active' (hovered or matched), 'path' (lit along with it) or none
+        function nodeGlow(d, state) {
+            if (state === 'active') return `drop-shadow(0 0 20px ${theme.glowActive})`;
+            if (state === 'path') return `drop-shadow(0 0 12px ${theme.glowPath})`;
+            return d.depth === 0 ? `drop-shadow(0 0 15px ${theme.glowRoot})` : `drop-shadow(0 0 8px ${theme.glow})`;
+        }
 
-        for (let depth = 1; depth <= maxDepth; depth++) {
-            const levelName = levelNames[depth] || `Level ${depth}`;
-            const levelId = `level-${depth}`;
+        function exportBackground() {
+            return config.exportBackground === undefined ? theme.exportBackground : config.exportBackground;
+        }
 
-            const item = levelContainer.append('div')
-                .attr('class', 'category-filter-item')
-                .attr('data-level', depth);
+        function buildThemeSwitcher() {
+            themePanel.html('');
+            const label = themePanel.append('label');
+            label.append('span').text(t('theme'));
+            label.append('select')
+                .on('change', event => setTheme(event.target.value))
+                .selectAll('option')
+                .data(['auto', ...Object.keys(themes)])
+                .join('option')
+                .attr('value', d => d)
+                .text(d => catalogue[`theme.${d}`] || themes[d].name || d);
+            updateThemeSwitcher();
+        }
 
-            item.append('input')
-                .attr('type', 'checkbox')
-                .attr('id', levelId)
-                .attr('checked', true)
-                .on('change', function () {
-                    const isChecked = this.checked;
-                    if (isChecked) {
-                        visibleLevels.add(depth);
-                        item.classed('hidden', false);
-                    } else {
-                        visibleLevels.delete(depth);
-                        item.classed('hidden', true);
-                    }
-                    applyFilters();
-                });
+        function updateThemeSwitcher() {
+            if (!themePanel) return;
+            themePanel.select('select').property('value', typeof themeSetting === 'string' ? themeSetting : '');
+        }
+
+        // ------------------------------------------------------------------
+        // Locale
+        // ------------------------------------------------------------------
+
+        const helpPanel = resolvePanel(options.help, host, 'zoom-help');
+        if (helpPanel) helpPanel.html('').append('span').text(t('help'));
 
-            item.append('label')
-                .attr('for', levelId)
-                .text(levelName);
+        // Right-to-left languages mirror the panels (see style.css)
+        panelElements().forEach(element => element.setAttribute('dir', direction));
+
+        // Message `key` of the catalogue with its {placeholders} filled in from `params`
+        function t(key, params = {}) {
+            let message = catalogue[key];
+            if (message && message.other) message = message[formats.plural.select(params.count)] || message.other;
+            if (typeof message !== 'string') return message == null ? key : message;
+            return fillMessage(message, params);
         }
 
-        // Add action buttons
-        const actions = levelFilterPanel.append('div')
-            .attr('class', 'category-filter-actions');
+        function levelLabel(depth) {
+            return t('levels')[depth] || t('level', { depth: formatValue(depth) });
+        }
 
-        actions.append('button')
-            .text('Show All')
-            .on('click', function () {
-                for (let depth = 1; depth <= maxDepth; depth++) {
-                    visibleLevels.add(depth);
-                    d3.select(`#level-${depth}`).property('checked', true);
-                    d3.select(`[data-level="${depth}"]`).classed('hidden', false);
-                }
-                applyFilters();
-            });
+        // The root shows a title over a subtitle: its `title` and `subtitle` fields,
+        // or else its total and its name
+        function rootLabels(d) {
+            const data = d.data || {};
+            return {
+                // A facet changes the total, so the data's title would be out of date
+                title: data.title != null && !facetResult ? String(data.title) : formatValue(d.value || 0),
+                subtitle: data.subtitle != null ? String(data.subtitle) : d.name
+            };
+        }
 
-        actions.append('button')
-            .text('Hide All')
-            .on('click', function () {
-                for (let depth = 1; depth <= maxDepth; depth++) {
-                    visibleLevels.delete(depth);
-                    d3.select(`#level-${depth}`).property('checked', false);
-                    d3.select(`[data-level="${depth}"]`).classed('hidden', true);
-                }
-                applyFilters();
-            });
-    }
+        // Short form for bubbles, the legend and changes (1.5K with the default compact notation)
+        function formatNumber(value) {
+            return typeof value === 'number' && isFinite(value) ? formats.short.format(value) : '';
+        }
+
+        // Full form for the tooltip, tables and accessible names (1,500)
+        function formatValue(value) {
+            return typeof value === 'number' && isFinite(value) ? formats.full.format(value) : '';
+        }
 
-    // Get all descendant node IDs for a category
-    function getCategoryNodeIds(categoryName) {
-        const nodeIds = new Set();
+        // Percentages, with very small shares shown as "<1%" instead of "0%"
+        function formatShare(share) {
+            return share > 0 && share < 0.01 ? `<${formats.share.format(0.01)}` : formats.share.format(share);
+        }
 
-        // Find the category node
-        const categoryNode = originalNodes.find(n => n.name === categoryName && n.depth === 1);
-        if (!categoryNode) return nodeIds;
+        // Double-click drills down (see Drill-down) instead of zooming; the zoom is reset with its button
+        svg.on('dblclick.zoom', null);
+
+        // Prevent text selection during drag
+        svg.style('-webkit-user-select', 'none')
+            .style('-moz-user-select', 'none')
+            .style('-ms-user-select', 'none')
+            .style('user-select', 'none');
+
+        // Responsive
+        function resize(width, height) {
+            const oldWidth = config.width;
+            const oldHeight = config.height;
+            config.width = width || host.node().clientWidth || window.innerWidth;
+            config.height = height || host.node().clientHeight || window.innerHeight;
+            svg.attr('width', config.width).attr('height', config.height);
+
+            // Adjust zoom transform to maintain view
+            const currentTransform = d3.zoomTransform(svg.node());
+            const newTransform = currentTransform
+                .translate(
+                    (config.width - oldWidth) / 2,
+                    (config.height - oldHeight) / 2
+                );
+            svg.call(zoom.transform, newTransform);
+            updateScaleExtent();
+
+            if (canvasMode) {
+                sizeCanvas();
+                requestCanvasDraw();
+            }
+            // The part-to-whole views are sized to the chart
+            if (currentView !== 'network' && originalRoot) applyFilters();
+        }
 
-        nodeIds.add(categoryNode.id);
+        const onWindowResize = () => resize();
+        if (config.autoResize !== false) {
+            window.addEventListener('resize', onWindowResize);
+        }
 
-        // Recursively get all descendants
-        function getDescendants(nodeId) {
-            const children = originalNodes.filter(n => {
-                const parent = originalNodes.find(p => p.id === n.parentId);
-                return parent && parent.id === nodeId;
+        function destroy() {
+            if (simulation) simulation.stop();
+            if (layoutTimer) layoutTimer.stop();
+            timers.forEach(clearTimeout);
+            timers.clear();
+            window.removeEventListener('resize', onWindowResize);
+            window.removeEventListener('popstate', onUrlChange);
+            window.removeEventListener('hashchange', onUrlChange);
+            clearTimeout(urlWriteTimer);
+            if (canvasFrame) cancelAnimationFrame(canvasFrame);
+            if (minimapFrame) cancelAnimationFrame(minimapFrame);
+            pause();
+            disconnect();
+            clearTimeout(clickTimer);
+            if (darkScheme && darkScheme.removeEventListener) darkScheme.removeEventListener('change', onSchemeChange);
+
+            svg.selectAll('*').interrupt();
+            svg.on('.zoom', null).on('.canvas', null).remove();
+            canvas.remove();
+            clearError();
+            tooltip.classed('show', false);
+            [categoryFilterPanel, levelFilterPanel, warningsPanel, searchPanel, exportPanel, viewPanel, legendPanel, timelinePanel, breadcrumbPanel, zoomPanel, selectionPanel, themePanel, helpPanel, valueFilterPanel, facetPanel, relationPanel, layoutPanel, minimapPanel].forEach(panel => panel && panel.html(''));
+            themedElements().forEach(element => {
+                themeEntries().forEach(([key]) => element.style.removeProperty(themeProperty(key)));
+                element.removeAttribute('data-theme');
             });
+            panelElements().forEach(element => element.removeAttribute('dir'));
+            ownedElements.forEach(el => el.remove());
+            host.classed('radial-network', false);
 
-            children.forEach(child => {
-                nodeIds.add(child.id);
-                getDescendants(child.id);
-            });
+            dispatch.call('destroy', instance);
+            Object.keys(dispatch._).forEach(type => dispatch.on(type, null));
         }
 
-        getDescendants(categoryNode.id);
-        return nodeIds;
-    }
+        // List validation problems so they are not silently "fixed"
+        function showWarnings(result) {
+            if (!warningsPanel) return;
+            warningsPanel.html('');
+
+            const messages = [
+                ...result.errors.map(text => ({ text, level: 'error' })),
+                ...result.warnings.map(text => ({ text, level: 'warning' }))
+            ];
+            if (messages.length === 0) return;
+
+            const header = warningsPanel.append('h3');
+            header.append('span')
+                .text(t(result.errors.length ? 'dataErrors' : 'dataWarnings', { count: messages.length }));
+            header.append('button')
+                .attr('class', 'data-warnings-toggle')
+                .attr('aria-expanded', true)
+                .text(t('hide'))
+                .on('click', function () {
+                    const collapsed = !warningsPanel.classed('collapsed');
+                    warningsPanel.classed('collapsed', collapsed);
+                    d3.select(this)
+                        .attr('aria-expanded', !collapsed)
+                        .text(t(collapsed ? 'show' : 'hide'));
+                });
 
-    // Calculate aggregated value for a node (sum of all hidden descendant values)
-    function getAggregatedValue(nodeId, hiddenNodeIds) {
-        let total = 0;
-        const node = originalNodes.find(n => n.id === nodeId);
-        if (!node) return 0;
+            warningsPanel.append('ul')
+                .selectAll('li')
+                .data(messages)
+                .join('li')
+                .attr('class', d => `data-warning-${d.level}`)
+                .text(d => d.text);
+        }
 
-        // Get all descendants
-        function sumDescendants(currentId) {
-            const children = originalNodes.filter(n => {
-                const parent = originalNodes.find(p => p.id === n.parentId);
-                return parent && parent.id === currentId;
-            });
+        // Load errors are shown inside the chart instead of being dropped
+        function showError(error) {
+            host.selectAll('.radial-network-error').remove();
+            host.append('div')
+                .attr('class', 'radial-network-error')
+                .attr('role', 'alert')
+                .text(error.message || String(error));
+            dispatch.call('error', instance, error);
+        }
 
-            children.forEach(child => {
-                if (hiddenNodeIds.has(child.id)) {
-                    // This descendant is hidden, add its value
-                    if (child.value) {
-                        total += child.value;
-                    }
-                    // Recursively sum its descendants
-                    sumDescendants(child.id);
+        function clearError() {
+            host.selectAll('.radial-network-error').remove();
+        }
+
+        // Public API
+        const instance = {
+            setData(data, setOptions) {
+                dataSource = null;
+                setData(data, setOptions);
+                return instance;
+            },
+            load(source, loadOptions = {}) {
+                return loadData(source, loadOptions)
+                    .then(data => {
+                        dataSource = typeof source === 'string' ? source : null;
+                        setData(data, { reset: loadOptions.reset });
+                        return instance;
+                    })
+                    .catch(error => {
+                        showError(error);
+                        return instance;
+                    });
+            },
+            update() {
+                applyFilters();
+                return instance;
+            },
+            connect(source, connectOptions) {
+                connect(source, connectOptions);
+                return instance;
+            },
+            disconnect() {
+                disconnect();
+                return instance;
+            },
+            search(query) {
+                return search(query);
+            },
+            exportSVG() {
+                return exportSVG();
+            },
+            exportPNG(pngOptions) {
+                return exportPNG(pngOptions);
+            },
+            exportCSV() {
+                return exportCSV();
+            },
+            setView(name) {
+                setView(name);
+                return instance;
+            },
+            getView() {
+                return currentView;
+            },
+            setPeriod(period) {
+                if (series && series.periods.includes(String(period))) {
+                    pause();
+                    showPeriod(series.periods.indexOf(String(period)));
                 }
-            });
+                return instance;
+            },
+            setValueRange(range) {
+                setValueRange(range);
+                return instance;
+            },
+            setTopN(n) {
+                setTopN(n);
+                return instance;
+            },
+            setFacet(key, values) {
+                setFacet(key, facetFromValues(key, values));
+                return instance;
+            },
+            setFacetMode(mode) {
+                setFacetMode(mode);
+                return instance;
+            },
+            getFacets() {
+                return facetFields.map(field => ({
+                    key: field.key,
+                    type: field.type,
+                    values: field.type === 'number' ? d3.extent(field.values) : field.counts.map(([value]) => value)
+                }));
+            },
+            setRelations(list) {
+                setRelations(list);
+                return instance;
+            },
+            showRelations(shown) {
+                showRelations(shown);
+                return instance;
+            },
+            getRelations() {
+                return relations.map(({ source, target, weight }) => ({
+                    source: relationPath(source),
+                    target: relationPath(target),
+                    weight
+                }));
+            },
+            saveLayout() {
+                return saveLayout();
+            },
+            loadLayout(layout) {
+                loadLayout(layout);
+                return instance;
+            },
+            getLayout() {
+                return getLayout();
+            },
+            resetLayout() {
+                setLayout(null);
+                return instance;
+            },
+            select(ids) {
+                setSelection(ids || []);
+                return instance;
+            },
+            getSelection() {
+                return getSelection();
+            },
+            exportSelection() {
+                return exportSelection();
+            },
+            drillDown(id) {
+                drillDown(id == null ? null : nodeIndex.get(id));
+                return instance;
+            },
+            drillUp() {
+                drillUp();
+                return instance;
+            },
+            getDrill() {
+                return drillId;
+            },
+            resetZoom() {
+                resetZoom();
+                return instance;
+            },
+            zoomBy(factor) {
+                zoomBy(factor);
+                return instance;
+            },
+            fitToContent() {
+                fitToContent();
+                return instance;
+            },
+            setTheme(value) {
+                setTheme(value);
+                return instance;
+            },
+            getTheme() {
+                return themeName;
+            },
+            getPeriod() {
+                return series ? series.periods[periodIndex] : null;
+            },
+            getPeriods() {
+                return series ? series.periods.slice() : [];
+            },
+            play() {
+                play();
+                return instance;
+            },
+            pause() {
+                pause();
+                return instance;
+            },
+            setDeltaMode(enabled) {
+                setDeltaMode(!!enabled);
+                return instance;
+            },
+            focusNode(id) {
+                const node = nodeIndex.get(id);
+                if (node) revealNode(node);
+                if (visibleById.has(id)) focusNode(visibleById.get(id));
+                return instance;
+            },
+            getState() {
+                return getState();
+            },
+            setState(state, animate) {
+                setState(state, animate);
+                return instance;
+            },
+            resize(width, height) {
+                resize(width, height);
+                return instance;
+            },
+            on(type, handler) {
+                if (arguments.length < 2) return dispatch.on(type);
+                dispatch.on(type, handler);
+                return instance;
+            },
+            destroy
+        };
+
+        if (options.data) setData(options.data);
+
+        return instance;
+    }
+
+    /**
+     * Case-insensitive fuzzy match of `query` against `text`.
+     *
+     * Substrings score highest (prefixes most of all), then in-order subsequences
+     * with small gaps, e.g. "bdh" matches "Buddhism". Returns null when there is
+     * no match, otherwise { score, positions } with the matched character indexes.
+     */
+    function fuzzyMatch(query, text) {
+        const q = query.toLowerCase();
+        const t = String(text).toLowerCase();
+        if (!q) return null;
+
+        const index = t.indexOf(q);
+        if (index !== -1) {
+            const wordStart = index === 0 || /\W/.test(t[index - 1]);
+            return {
+                score: 1000 - index + (index === 0 ? 200 : 0) + (wordStart ? 100 : 0) - (t.length - q.length),
+                positions: d3.range(index, index + q.length)
+            };
         }
 
-        sumDescendants(nodeId);
-        return total;
+        const positions = [];
+        let score = 500;
+        let last = -1;
+        for (const char of q) {
+            if (char === ' ') continue;
+            const i = t.indexOf(char, last + 1);
+            if (i === -1) return null;
+            score -= (i - last - 1) * 5; // Penalise gaps
+            if (i === 0 || /\W/.test(t[i - 1])) score += 10; // Reward word starts
+            positions.push(i);
+            last = i;
+        }
+        return { score: score - (t.length - q.length), positions };
     }
 
-    // Apply filters to show/hide categories and levels
-    function applyFilters() {
-        // Get all node IDs that should be hidden
-        const hiddenNodeIds = new Set();
+    // ---------------------------------------------------------------------
+    // Hierarchy index and filtering
+    // ---------------------------------------------------------------------
+
+    /**
+     * Index flat nodes ({ id, parentId, ... }) by id and by parent, so that
+     * parent, children, ancestor and descendant lookups do not scan the list.
+     */
+    function indexNodes(nodes) {
+        const byId = new Map();
+        const childrenById = new Map();
+
+        nodes.forEach(node => byId.set(node.id, node));
+        nodes.forEach(node => {
+            if (node.parentId == null || !byId.has(node.parentId)) return;
+            if (!childrenById.has(node.parentId)) childrenById.set(node.parentId, []);
+            childrenById.get(node.parentId).push(node);
+        });
 
-        originalNodes.forEach(node => {
-            // Filter by category
-            if (node.depth === 1) {
-                // First-level category
-                if (!visibleCategories.has(node.name)) {
-                    hiddenNodeIds.add(node.id);
-                    // Add all descendants
-                    const descendants = getCategoryNodeIds(node.name);
-                    descendants.forEach(id => hiddenNodeIds.add(id));
+        const noChildren = [];
+        const index = {
+            roots: nodes.filter(node => node.parentId == null || !byId.has(node.parentId)),
+            get: id => byId.get(id),
+            children: id => childrenById.get(id) || noChildren,
+            // Ancestor ids, nearest first
+            ancestors(id) {
+                const ids = [];
+                let current = byId.get(id);
+                while (current && byId.has(current.parentId)) {
+                    ids.push(current.parentId);
+                    current = byId.get(current.parentId);
                 }
+                return ids;
+            },
+            // Descendant ids in depth-first order, only descending through nodes that pass `include`
+            descendants(id, include = () => true) {
+                const ids = [];
+                const stack = index.children(id).slice().reverse();
+                while (stack.length) {
+                    const node = stack.pop();
+                    if (!include(node.id)) continue;
+                    ids.push(node.id);
+                    const children = index.children(node.id);
+                    for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+                }
+                return ids;
             }
+        };
+        return index;
+    }
 
-            // Filter by level - hide nodes at hidden levels
-            if (!visibleLevels.has(node.depth)) {
-                hiddenNodeIds.add(node.id);
-                // Also hide all descendants of hidden level nodes
-                function hideDescendants(nodeId) {
-                    const children = originalNodes.filter(n => {
-                        const parent = originalNodes.find(p => p.id === n.parentId);
-                        return parent && parent.id === nodeId;
-                    });
-                    children.forEach(child => {
-                        hiddenNodeIds.add(child.id);
-                        hideDescendants(child.id);
-                    });
-                }
-                hideDescendants(node.id);
+    /**
+     * Work out which nodes the filters hide, top-down in a single pass.
+     *
+     * A node is hidden when its parent is hidden or collapsed, when it is a
+     * category (depth 1) missing from `categories`, when its depth is missing
+     * from `levels`, or when it is a leaf whose value lies outside `range`
+     * ([min, max], either bound null for none). With `top`, only the `top`
+     * largest children of each category and deeper node stay; the rest are
+     * hidden and listed in `others` (parent id -> ids), for an "Other" node.
+     * With `match` (a Set of ids, see matchLeaves()) nodes missing from it are
+     * hidden too, and `values` (id -> value) replaces the values that `top`
+     * compares. Visible nodes with a hidden child that carries a value are
+     * returned in `aggregated`: they stand in for that part of the tree.
+     */
+    function computeVisibility(index, { categories, levels, collapsed = new Set(), range = null, top = null, match = null, values = null }) {
+        const hidden = new Set();
+        const aggregated = new Set();
+        const others = new Map();
+
+        const [min, max] = range || [];
+        const valueOf = node => (values && values.has(node.id) ? values.get(node.id) : node.value) || 0;
+        const passes = node => levels.has(node.depth) &&
+            (node.depth !== 1 || categories.has(node.name)) &&
+            (!match || match.has(node.id)) &&
+            (!range || node.depth === 0 || index.children(node.id).length > 0 ||
+                ((min == null || node.value >= min) && (max == null || node.value <= max)));
+
+        const stack = index.roots.map(node => [node, !passes(node)]);
+        while (stack.length) {
+            const [node, isHidden] = stack.pop();
+            if (isHidden) hidden.add(node.id);
+
+            const children = index.children(node.id);
+            if (isHidden || collapsed.has(node.id)) {
+                children.forEach(child => stack.push([child, true]));
+                continue;
             }
-        });
 
-        // Filter nodes
-        let filteredNodes = originalNodes.filter(n => !hiddenNodeIds.has(n.id));
+            // Largest first; ties keep the data's order
+            const shown = children.filter(passes);
+            const rest = top && node.depth > 0 && shown.length > top ?
+                new Set(shown.slice().sort((a, b) => valueOf(b) - valueOf(a)).slice(top)) : null;
+            if (rest) others.set(node.id, [...rest].map(child => child.id));
+            children.forEach(child => stack.push([child, !passes(child) || (rest !== null && rest.has(child))]));
+        }
 
-        // Aggregate values for nodes whose children are hidden
-        filteredNodes = filteredNodes.map(node => {
-            const aggregatedValue = getAggregatedValue(node.id, hiddenNodeIds);
-            if (aggregatedValue > 0) {
-                // Create a copy with aggregated value
-                return {
-                    ...node,
-                    value: (node.value || 0) + aggregatedValue,
-                    hasAggregatedValue: true
-                };
-            }
-            return node;
+        // The visible parent of a hidden node with a value stands in for it
+        hidden.forEach(id => {
+            const node = index.get(id);
+            const parentId = node && node.parentId;
+            if (parentId != null && !hidden.has(parentId) && (!match || match.has(id)) && valueOf(node) > 0) aggregated.add(parentId);
         });
 
-        // Create node map for quick lookup
-        const nodeMap = new Map(filteredNodes.map(n => [n.id, n]));
+        return { hidden, aggregated, others };
+    }
 
-        // Filter and rebuild links with proper node references
-        const filteredLinks = originalLinks
-            .filter(l => {
-                const sourceId = typeof l.source === 'string' ? l.source : (l.source.id || l.source);
-                const targetId = typeof l.target === 'string' ? l.target : (l.target.id || l.target);
-                return !hiddenNodeIds.has(sourceId) && !hiddenNodeIds.has(targetId);
-            })
-            .map(l => {
-                const sourceId = typeof l.source === 'string' ? l.source : (l.source.id || l.source);
-                const targetId = typeof l.target === 'string' ? l.target : (l.target.id || l.target);
-                return {
-                    source: nodeMap.get(sourceId),
-                    target: nodeMap.get(targetId),
-                    type: l.type
-                };
-            })
-            .filter(l => l.source && l.target); // Remove invalid links
-
-        // Update allNodes for path finding
-        allNodes = filteredNodes;
-
-        // Smoothly fade out existing visualization
-        g.selectAll('.node, .link, .count-bubble, .count-link')
-            .transition()
-            .duration(300)
-            .style('opacity', 0)
-            .on('end', function () {
-                d3.select(this).remove();
-            });
-
-        // Wait for fade out, then redraw
-        setTimeout(() => {
-            // Clear any remaining elements
-            g.selectAll('.nodes').remove();
-            g.selectAll('.links').remove();
-            g.selectAll('.count-bubble').remove();
-            g.selectAll('.count-link').remove();
-
-            // Redraw with filtered data
-            drawLinks(filteredLinks);
-            drawNodes(filteredNodes);
-
-            // Re-run simulation with filtered nodes
-            const simulation = d3.forceSimulation(filteredNodes)
-                .force('link', d3.forceLink(filteredLinks).id(d => d.id).distance(d => {
-                    return d.type === 'primary' ? 220 : 80;
-                }).strength(0.5))
-                .force('charge', d3.forceManyBody().strength(-50))
-                .force('collision', d3.forceCollide().radius(d => d.radius + 10))
-                .alphaDecay(0.05)
-                .on('tick', () => {
-                    updateParentPositions(filteredNodes, filteredLinks);
-                    update(filteredNodes, filteredLinks);
-                })
-                .on('end', () => {
-                    simulation.stop();
-                    redrawCountBubbles(filteredNodes);
-                    animateEntrance();
-                });
+    /**
+     * Leaves for which `test(node)` holds, and the nodes above them.
+     *
+     * Returns `matching`, a Set of the ids of those leaves and of every node with
+     * one of them below it, and `totals`, a Map of the summed value of the
+     * matching leaves below each node that has children.
+     */
+    function matchLeaves(index, test) {
+        const matching = new Set();
+        const totals = new Map();
+
+        // Depth-first order, walked backwards: children come before their parent
+        const order = [];
+        const stack = index.roots.slice();
+        while (stack.length) {
+            const node = stack.pop();
+            order.push(node);
+            index.children(node.id).forEach(child => stack.push(child));
+        }
 
-            setTimeout(() => {
-                simulation.stop();
-                redrawCountBubbles(filteredNodes);
-            }, 2000);
-        }, 350);
-    }
+        for (let i = order.length - 1; i >= 0; i--) {
+            const node = order[i];
+            const children = index.children(node.id);
+            if (children.length === 0) {
+                if (test(node)) matching.add(node.id);
+                continue;
+            }
+            let total = 0;
+            children.forEach(child => {
+                if (!matching.has(child.id)) return;
+                total += totals.has(child.id) ? totals.get(child.id) : child.value || 0;
+                matching.add(node.id);
+            });
+            totals.set(node.id, total);
+        }
 
-    function getPositions(root) {
-        const nodes = [];
-        let counter = 0;
+        return { matching, totals };
+    }
 
-        root.each(node => {
-            const depth = node.depth;
-            const hasChildren = node.children && node.children.length > 0;
-
-            // Calculate position
-            let x = 0, y = 0, fx, fy;
-
-            if (depth === 0) {
-                // Root at center
-                fx = fy = x = y = 0;
-            } else if (depth === 1) {
-                // First level: evenly distributed around center
-                const siblings = node.parent.children;
-                const index = siblings.indexOf(node);
-                const angle = (index * 2 * Math.PI / siblings.length) - Math.PI / 2;
-                x = fx = Math.cos(angle) * 220;
-                y = fy = Math.sin(angle) * 220;
+    /**
+     * Deterministic radial layout of flat nodes ({ id, parentId, depth, radius, value }).
+     *
+     * Every node gets a slice of its parent's angular sector, proportional to its
+     * weight: the number of leaves below it, or its value for weight 'value'
+     * (leaves weigh at least a quarter of the average leaf, so small values stay
+     * visible). Nodes sit on one ring per depth, at least `distance(node)` outside
+     * the ring before, with room for `reserve` px (count bubbles) beyond each
+     * circle. Rings then move outwards until every node fits inside its own
+     * sector, so circles, bubbles and outward labels of different sectors cannot
+     * overlap. The same nodes always get the same positions.
+     *
+     * `depthOf(node)` picks the ring (default node.depth), e.g. relative to a
+     * drilled-down centre at ring 0.
+     *
+     * Returns a Map of id -> { tx, ty, angle, outer }, where outer nodes have no
+     * children among `nodes`.
+     */
+    function radialLayout(nodes, { parentOf, weight = 'leaves', depthOf = node => node.depth, distance = () => 100, reserve = 0, padding = 12 } = {}) {
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const getParent = parentOf || (node => byId.get(node.parentId));
+        const children = new Map(nodes.map(n => [n.id, []]));
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = getParent(node);
+            if (parent && children.has(parent.id)) {
+                children.get(parent.id).push(node);
             } else {
-                // Deeper levels: positioned relative to parent
-                const siblings = node.parent.children;
-                const index = siblings.indexOf(node);
-                const parentAngle = Math.atan2(node.parent.y || 0, node.parent.x || 0);
-                const spread = Math.min(siblings.length / 8, 0.5);
-                const angleStep = (Math.PI * spread) / Math.max(siblings.length - 1, 1);
-                const angle = parentAngle - (Math.PI * spread / 2) + (index * angleStep);
-                const distance = depth === 2 ? 140 : 100; // Distance for level 2 and 3
-                x = (node.parent.x || 0) + Math.cos(angle) * distance;
-                y = (node.parent.y || 0) + Math.sin(angle) * distance;
-            }
-
-            // Store calculated data
-            node.data.id = depth === 0 ? 'root' : `node-${counter++}`;
-            node.x = x;
-            node.y = y;
-            if (fx !== undefined) { node.fx = fx; node.fy = fy; }
-
-            nodes.push({
-                id: node.data.id,
-                name: node.data.name,
-                value: node.value,
-                depth: depth,
-                x: x,
-                y: y,
-                fx: fx,
-                fy: fy,
-                radius: config.nodeSize(node),
-                hasChildren: hasChildren,
-                gradient: `url(#${['root', 'category', 'subcategory', 'leaf'][Math.min(depth, 3)]}Gradient)`,
-                parentX: node.parent ? (node.parent.x || 0) : null,
-                parentY: node.parent ? (node.parent.y || 0) : null,
-                parentId: node.parent ? node.parent.data.id : null  // Store parent ID for path finding
+                roots.push(node);
+            }
+        });
+
+        // Weights bottom-up
+        const leaves = nodes.filter(n => children.get(n.id).length === 0);
+        const floor = weight === 'value' ? (d3.mean(leaves, n => n.value || 0) || 0) / 4 : 0;
+        const weights = new Map();
+        nodes.slice().sort((a, b) => depthOf(b) - depthOf(a)).forEach(node => {
+            const kids = children.get(node.id);
+            weights.set(node.id, kids.length ? d3.sum(kids, k => weights.get(k.id)) :
+                weight === 'value' ? Math.max(node.value || 0, floor) || 1 : 1);
+        });
+
+        // Sectors top-down, clockwise from 12 o'clock
+        const sectors = new Map();
+        (function assign(list, a0, a1) {
+            const total = d3.sum(list, n => weights.get(n.id));
+            let angle = a0;
+            list.forEach(node => {
+                const span = (a1 - a0) * weights.get(node.id) / total;
+                sectors.set(node.id, [angle, angle + span]);
+                assign(children.get(node.id), angle, angle + span);
+                angle += span;
+            });
+        })(roots, -Math.PI / 2, 3 * Math.PI / 2);
+
+        // One ring per depth; empty rings (hidden levels) take no space
+        const byDepth = d3.group(nodes, depthOf);
+        const maxRadius = list => d3.max(list, n => n.radius) || 0;
+        const rings = new Map([[0, 0]]);
+        let inner = byDepth.get(0) || [];
+        let innerRadius = 0;
+        for (let depth = 1; depth <= (d3.max(nodes, depthOf) || 0); depth++) {
+            const ring = byDepth.get(depth);
+            if (!ring) continue;
+
+            let radius = innerRadius + Math.max(d3.max(inner, distance) || 0,
+                maxRadius(inner) + reserve + maxRadius(ring) + padding);
+            ring.forEach(node => {
+                const [a0, a1] = sectors.get(node.id);
+                const half = Math.min(a1 - a0, Math.PI) / 2;
+                // Far enough out for the circle to clear both edges of its sector
+                radius = Math.max(radius, (node.radius + padding / 2) / Math.sin(half));
+            });
+
+            rings.set(depth, radius);
+            inner = ring;
+            innerRadius = radius;
+        }
+
+        const positions = new Map();
+        nodes.forEach(node => {
+            const [a0, a1] = sectors.get(node.id);
+            const angle = (a0 + a1) / 2;
+            const radius = rings.get(depthOf(node));
+            positions.set(node.id, {
+                tx: radius * Math.cos(angle),
+                ty: radius * Math.sin(angle),
+                angle: radius ? angle : null,
+                outer: children.get(node.id).length === 0
             });
         });
+        return positions;
+    }
 
-        return nodes;
-    }
-
-    function drawLinks(links) {
-        g.append('g').attr('class', 'links')
-            .selectAll('line')
-            .data(links)
-            .join('line')
-            .attr('class', 'link')
-            .attr('stroke', d => config.colors.links[d.type === 'primary' ? 0 : 1])
-            .attr('stroke-width', d => d.type === 'primary' ? 2.5 : 1.5)
-            .attr('opacity', 0.3);
-    }
-
-    function drawNodes(nodes) {
-        const nodeGroups = g.append('g').attr('class', 'nodes')
-            .selectAll('g')
-            .data(nodes, d => d.id)
-            .join('g')
-            .attr('class', 'node')
-            .attr('transform', d => `translate(${d.x},${d.y})`);
-
-        // Main circles
-        nodeGroups.append('circle')
-            .attr('class', 'node-circle')
-            .attr('r', d => d.radius)
-            .attr('fill', d => d.gradient)
-            .style('filter', d => d.depth === 0 ?
-                'drop-shadow(0 0 15px rgba(255,107,157,0.6))' :
-                'drop-shadow(0 0 8px rgba(108,92,231,0.4))')
-            .style('cursor', 'pointer')
-            .on('mouseenter', (e, d) => handleHover(e, d, true))
-            .on('mouseleave', (e, d) => handleHover(e, d, false));
-
-        // Labels
-        nodeGroups.append('text')
-            .attr('class', 'node-text')
-            .attr('text-anchor', 'middle')
-            .attr('dy', d => d.depth === 0 ? '-10' : '0.35em')
-            .attr('fill', '#fff')
-            .style('font-size', d => [18, 13, 10, 9][Math.min(d.depth, 3)] + 'px')
-            .style('font-weight', d => d.hasChildren ? 600 : 500)
-            .style('pointer-events', 'none')
-            .style('text-shadow', '0 1px 2px rgba(255, 255, 255, 0.8)')
-            .text(d => d.depth === 0 ? d.name.split(' ')[0] : d.name);
-
-        // Root subtitle
-        nodeGroups.filter(d => d.depth === 0)
-            .append('text')
-            .attr('text-anchor', 'middle')
-            .attr('dy', '12')
-            .attr('fill', '#fff')
-            .style('font-size', '12px')
-            .style('pointer-events', 'none')
-            .style('text-shadow', '0 1px 2px rgba(255, 255, 255, 0.8)')
-            .text(d => d.name.split(' ').slice(1).join(' '));
-
-        // Count bubbles will be drawn after simulation settles
-        // drawCountBubbles(nodeGroups.filter(d => !d.hasChildren && d.value));
-    }
-
-    function drawCountBubbles(leafNodes) {
-        leafNodes.each(function (d) {
-            // Calculate angle from parent to this node
-            // Then extend bubble in the opposite direction (away from parent)
-            const dx = d.x - (d.parentX || 0);
-            const dy = d.y - (d.parentY || 0);
-            const angle = Math.atan2(dy, dx); // Angle from parent to node
-
-            // Position bubble along the line extending away from parent
-            const offset = d.radius + 18;
-            const bubbleX = Math.cos(angle) * offset;
-            const bubbleY = Math.sin(angle) * offset;
-
-            // Edge of node along the same line
-            const nodeEdgeX = Math.cos(angle) * d.radius;
-            const nodeEdgeY = Math.sin(angle) * d.radius;
-
-            const group = d3.select(this);
-
-            // Connecting line from node edge to bubble
-            group.append('line')
-                .attr('class', 'count-link')
-                .attr('x1', nodeEdgeX)
-                .attr('y1', nodeEdgeY)
-                .attr('x2', bubbleX)
-                .attr('y2', bubbleY)
-                .attr('stroke', config.colors.bubble)
-                .attr('stroke-width', 1.5)
-                .attr('opacity', 0.4);
-
-            // Bubble position (relative to node)
-            const bubble = group.append('g')
-                .attr('class', 'count-bubble')
-                .attr('transform', `translate(${bubbleX},${bubbleY})`);
-
-            bubble.append('circle')
-                .attr('r', config.bubbleRadius)
-                .attr('fill', config.colors.bubble)
-                .style('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.15))');
-
-            bubble.append('text')
-                .attr('class', 'count-text')
-                .attr('text-anchor', 'middle')
-                .attr('dy', '0.35em')
-                .attr('fill', '#fff')
-                .style('font-size', '10px')
-                .style('font-weight', 600)
-                .style('pointer-events', 'none')
-                .text(formatNumber(d.value));
+    // Ids from the names on the path below the root ('root', 'root/Religion', 'root/Religion/Buddhism'),
+    // so the same node keeps its id in another period; duplicate siblings get a #2, #3, ... suffix.
+    // A '/', '#' or '%' in a name is escaped ('AC/DC' -> 'AC%2FDC') so it cannot be read as a separator
+    function assignPathIds(root) {
+        const used = new Set();
+        root.each(node => {
+            const base = node.parent ? `${node.parent.data.id}/${escapeName(node.data.name, '/#')}` : 'root';
+            let id = base;
+            for (let n = 2; used.has(id); n++) id = `${base}#${n}`;
+            used.add(id);
+            node.data.id = id;
         });
     }
 
-    function updateParentPositions(nodes, links) {
-        // Update parent positions for all nodes based on links
-        const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    // `name` with '%' and each of the `separators` written as %XX, for joining names into a path
+    function escapeName(name, separators) {
+        return String(name).replace(new RegExp(`[%${separators}]`, 'g'), char =>
+            `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
 
-        links.forEach(link => {
-            const targetNode = nodeMap.get(link.target.id || link.target);
-            const sourceNode = nodeMap.get(link.source.id || link.source);
-            if (targetNode && sourceNode) {
-                targetNode.parentX = sourceNode.x;
-                targetNode.parentY = sourceNode.y;
-            }
-        });
+    function unescapeName(text) {
+        return text.replace(/%([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
     }
 
-    function update(nodes, links) {
-        g.selectAll('.link')
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y);
+    // { "2023": tree, "2024": tree }: an object of trees rather than a tree
+    function isPeriodSeries(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || 'name' in data || 'children' in data) return false;
+        const trees = Object.values(data);
+        return trees.length > 0 && trees.every(tree => tree && typeof tree === 'object' && ('name' in tree || 'children' in tree));
+    }
 
-        g.selectAll('.node')
-            .attr('transform', d => `translate(${d.x},${d.y})`);
+    // Shorten `text` with an ellipsis to about `width` px, estimating 0.6em per character
+    function fitText(text, fontSize, width) {
+        const max = Math.floor(width / (fontSize * 0.6));
+        return text.length <= max ? text : text.slice(0, Math.max(max - 1, 1)) + '…';
     }
 
-    function redrawCountBubbles(nodes) {
-        // Remove existing bubbles and links
-        g.selectAll('.count-bubble').remove();
-        g.selectAll('.count-link').remove();
+    // Honour the user's reduced motion setting
+    function prefersReducedMotion() {
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
 
-        // Get leaf nodes and nodes with aggregated values (whose children are hidden)
-        const leafNodes = nodes.filter(d => {
-            // Show bubble if: it's a leaf with value, OR it has aggregated value (hidden children)
-            return d.value && (!d.hasChildren || d.hasAggregatedValue);
-        });
+    function motion(duration) {
+        return prefersReducedMotion() ? 0 : duration;
+    }
 
-        // Redraw with updated positions
-        leafNodes.forEach(d => {
-            const node = g.selectAll('.node').filter(nd => nd.id === d.id);
+    // Escape text for use inside HTML markup
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => htmlEntities[c]);
+    }
 
-            // Calculate angle from parent to this node using updated positions
-            const dx = d.x - (d.parentX || 0);
-            const dy = d.y - (d.parentY || 0);
-            const angle = Math.atan2(dy, dx);
+    const htmlEntities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
-            // Position bubble along the line extending away from parent
-            const offset = d.radius + 18;
-            const bubbleX = Math.cos(angle) * offset;
-            const bubbleY = Math.sin(angle) * offset;
-
-            // Edge of node along the same line
-            const nodeEdgeX = Math.cos(angle) * d.radius;
-            const nodeEdgeY = Math.sin(angle) * d.radius;
-
-            // Connecting line with animation
-            node.append('line')
-                .attr('class', 'count-link')
-                .attr('x1', nodeEdgeX)
-                .attr('y1', nodeEdgeY)
-                .attr('x2', nodeEdgeX) // Start at node edge
-                .attr('y2', nodeEdgeY)
-                .attr('stroke', config.colors.bubble)
-                .attr('stroke-width', 0)
-                .attr('opacity', 0)
-                .transition()
-                .duration(500)
-                .delay((leafNodes.indexOf(d) * 30) + 100) // Slight delay after bubble starts
-                .attr('x2', bubbleX) // Grow to bubble position
-                .attr('y2', bubbleY)
-                .attr('stroke-width', 1.5)
-                .attr('opacity', 0.4);
-
-            // Bubble with scale animation
-            const bubble = node.append('g')
-                .attr('class', 'count-bubble')
-                .attr('transform', `translate(${bubbleX},${bubbleY}) scale(0)`) // Start at scale 0
-                .style('opacity', 0);
-
-            bubble.append('circle')
-                .attr('r', config.bubbleRadius)
-                .attr('fill', config.colors.bubble)
-                .style('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.15))');
-
-            bubble.append('text')
-                .attr('class', 'count-text')
-                .attr('text-anchor', 'middle')
-                .attr('dy', '0.35em')
-                .attr('fill', '#fff')
-                .style('font-size', '10px')
-                .style('font-weight', 600)
-                .style('pointer-events', 'none')
-                .text(formatNumber(d.value));
-
-            // Animate bubble growth with elastic easing
-            bubble.transition()
-                .duration(600)
-                .delay((leafNodes.indexOf(d) * 30)) // Stagger animation
-                .ease(d3.easeElasticOut.amplitude(1).period(0.4))
-                .attr('transform', `translate(${bubbleX},${bubbleY}) scale(1)`)
-                .style('opacity', 1);
+    // Replace {key} and {fields.key} placeholders with escaped tooltip values
+    function fillTemplate(template, info) {
+        return template.replace(/\{([\w.]+)\}/g, (match, key) => {
+            const value = key.split('.').reduce((object, part) => object == null ? undefined : object[part], info.text);
+            return value === undefined ? '' : escapeHtml(value);
         });
     }
 
-    // Helper functions for tree path finding
-    function getAncestors(nodeId) {
-        const ancestors = [];
-        let currentNode = allNodes.find(n => n.id === nodeId);
+    // Save a Blob through a temporary download link
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-        while (currentNode && currentNode.parentId) {
-            currentNode = allNodes.find(n => n.id === currentNode.parentId);
-            if (currentNode) {
-                ancestors.push(currentNode.id);
-            }
+    // ---------------------------------------------------------------------
+    // Data loading
+    // ---------------------------------------------------------------------
+
+    /**
+     * Load a hierarchy from a URL or an in-memory value.
+     *
+     * `source` can be:
+     *   - a URL to a JSON, CSV or TSV file (format taken from the extension or `options.format`)
+     *   - an already nested tree ({ name, value, children })
+     *   - an array of flat rows, e.g. [{ gender, religion, gpa_band, count }, ...]
+     *
+     * Flat rows are turned into a tree by buildHierarchy(), see there for the options.
+     * With `options.period` they become one tree per period instead, keyed by period.
+     * Resolves with the nested tree, rejects with an Error describing what went wrong.
+     */
+    function loadData(source, options = {}) {
+        if (typeof source === 'string') {
+            const format = (options.format || inferFormat(source)).toLowerCase();
+            return d3.text(source)
+                .catch(error => {
+                    throw new Error(`Could not load ${source}: ${error.message}`);
+                })
+                .then(text => toTree(parseText(text, format, source), options));
         }
-        return ancestors;
+
+        return new Promise(resolve => resolve(toTree(source, options)));
     }
 
-    function getDescendants(nodeId) {
-        const descendants = [];
-        const node = allNodes.find(n => n.id === nodeId);
-        if (!node || !node.hasChildren) return descendants;
+    function inferFormat(url) {
+        const match = /\.(json|csv|tsv)(?:[?#].*)?$/i.exec(url);
+        return match ? match[1] : 'json';
+    }
 
-        function traverse(currentId) {
-            const children = allNodes.filter(n => n.parentId === currentId);
-            children.forEach(child => {
-                descendants.push(child.id);
-                if (child.hasChildren) {
-                    traverse(child.id);
+    function parseText(text, format, source) {
+        switch (format) {
+            case 'csv':
+                return d3.csvParse(text, d3.autoType);
+            case 'tsv':
+                return d3.tsvParse(text, d3.autoType);
+            case 'json':
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    throw new Error(`Could not parse ${source} as JSON: ${error.message}`);
                 }
-            });
+            default:
+                throw new Error(`Unsupported data format "${format}"`);
+        }
+    }
+
+    function toTree(data, options) {
+        if (Array.isArray(data) && options.period) return buildSeries(data, options);
+        if (Array.isArray(data)) return buildHierarchy(data, options);
+        if (data && typeof data === 'object') return data;
+        throw new Error('Data must be a tree object or an array of rows');
+    }
+
+    /**
+     * Build a nested tree from flat rows.
+     *
+     * Options:
+     *   groupBy   - columns to nest by, outermost first (default: every non-value column of the first row)
+     *   value     - column name or accessor for the row count (default 'count', or 'value' if there is no count column)
+     *   rootName  - name of the root node (default 'Total')
+     *   stratify  - { id, parentId } column names, for rows that already describe a tree
+     *   period    - column such as 'year', left out of the default groupBy (see buildSeries())
+     */
+    function buildHierarchy(rows, options = {}) {
+        if (rows.length === 0) throw new Error('No rows to build a hierarchy from');
+
+        const columns = rows.columns || Array.from(new Set(rows.flatMap(Object.keys)));
+        const valueKey = typeof options.value === 'string' ? options.value :
+            (columns.includes('count') ? 'count' : 'value');
+        const valueOf = typeof options.value === 'function' ? options.value : d => +d[valueKey] || 0;
+
+        if (options.stratify) {
+            const { id = 'id', parentId = 'parentId' } = options.stratify;
+            let stratified;
+            try {
+                stratified = d3.stratify()
+                    .id(d => d[id])
+                    .parentId(d => d[parentId])(rows);
+            } catch (error) {
+                throw new Error(`Could not build hierarchy from ${id}/${parentId}: ${error.message}`);
+            }
+            return stratifiedToTree(stratified, valueOf);
         }
 
-        traverse(nodeId);
-        return descendants;
+        const groupBy = options.groupBy || columns.filter(c => c !== valueKey && c !== options.period);
+        const missing = groupBy.filter(c => !columns.includes(c));
+        if (missing.length) throw new Error(`Unknown grouping column(s): ${missing.join(', ')}`);
+        if (groupBy.length === 0) throw new Error('At least one grouping column is required');
+
+        const rollup = d3.rollup(rows, v => d3.sum(v, valueOf), ...groupBy.map(c => d => d[c]));
+
+        const tree = rollupToTree(options.rootName || 'Total', rollup);
+        tree.value = d3.sum(rows, valueOf);
+        return tree;
+    }
+
+    // One tree per value of the `period` column, in ascending order: { "2023": tree, "2024": tree }
+    function buildSeries(rows, options) {
+        const columns = rows.columns || Array.from(new Set(rows.flatMap(Object.keys)));
+        if (!columns.includes(options.period)) throw new Error(`Unknown period column "${options.period}"`);
+
+        const series = {};
+        d3.groups(rows, d => d[options.period])
+            .sort((a, b) => d3.ascending(a[0], b[0]))
+            .forEach(([period, group]) => {
+                group.columns = columns;
+                series[period] = buildHierarchy(group, options);
+            });
+        return series;
     }
 
-    function getTreePath(nodeId) {
-        const ancestors = getAncestors(nodeId);
-        const descendants = getDescendants(nodeId);
+    function rollupToTree(name, value) {
+        if (!(value instanceof Map)) return { name: String(name), value: value };
         return {
-            ancestors: ancestors,
-            descendants: descendants,
-            current: nodeId,
-            all: [...ancestors, nodeId, ...descendants]
+            name: String(name),
+            children: Array.from(value, ([key, child]) => rollupToTree(key, child))
         };
     }
 
-    function handleHover(event, data, enter) {
-        const node = d3.select(event.target.parentNode);
-        node.raise();
+    function stratifiedToTree(node, valueOf) {
+        const tree = { name: String(node.data.name != null ? node.data.name : node.id) };
+        if (node.children) {
+            tree.children = node.children.map(child => stratifiedToTree(child, valueOf));
+        } else {
+            tree.value = valueOf(node.data);
+        }
+        return tree;
+    }
+
+    // ---------------------------------------------------------------------
+    // Validation
+    // ---------------------------------------------------------------------
+
+    const duplicatePolicies = ['merge', 'keep', 'reject'];
+
+    /**
+     * Check a nested tree before it is handed to d3.hierarchy.
+     *
+     * Flags nodes without a name, values that are not non-negative numbers, and
+     * parent values that disagree with the sum of their children (d3's .sum()
+     * would otherwise add them on top). Duplicate sibling names are merged, kept
+     * or rejected according to `options.duplicates`.
+     *
+     * Returns { tree, warnings, errors }: `tree` is a cleaned copy, the input is
+     * not modified. Any error means the tree should not be rendered.
+     *
+     * The messages are the catalogue's (English unless `options.t` translates
+     * them) with numbers formatted by `options.format` (d3.format(',') by default).
+     */
+    function validateTree(tree, options = {}) {
+        const policy = options.duplicates || 'merge';
+        if (!duplicatePolicies.includes(policy)) {
+            throw new Error(`Unknown duplicates policy "${policy}", expected one of ${duplicatePolicies.join(', ')}`);
+        }
+        const t = options.t || ((key, params = {}) => fillMessage(messages.en[key], params));
+        const format = options.format || d3.format(',');
 
-        d3.select(event.target)
-            .transition().duration(200)
-            .attr('r', enter ? data.radius * 1.15 : data.radius)
-            .style('filter', enter ?
-                'drop-shadow(0 0 20px rgba(108,92,231,0.8))' :
-                data.depth === 0 ? 'drop-shadow(0 0 15px rgba(255,107,157,0.6))' :
-                    'drop-shadow(0 0 8px rgba(108,92,231,0.4))');
+        const warnings = [];
+        const errors = [];
 
-        // Scale text on hover
-        node.selectAll('.node-text')
-            .transition().duration(200)
-            .style('font-size', function () {
-                const currentSize = parseFloat(d3.select(this).style('font-size'));
-                return enter ? (currentSize * 1.1) + 'px' : null;
-            });
+        if (!tree || typeof tree !== 'object' || Array.isArray(tree)) {
+            errors.push(t('invalidRoot'));
+            return { tree: null, warnings, errors };
+        }
 
-        // Scale count bubbles
-        node.selectAll('.count-bubble')
-            .transition().duration(200)
-            .attr('transform', function () {
-                const currentTransform = d3.select(this).attr('transform');
-                const match = currentTransform.match(/translate\(([-\d.]+),([-\d.]+)\)/);
-                if (match) {
-                    const x = parseFloat(match[1]);
-                    const y = parseFloat(match[2]);
-                    return `translate(${x},${y}) scale(${enter ? 1.15 : 1})`;
+        function clean(node, path) {
+            const copy = Object.assign({}, node);
+
+            if (copy.name == null || String(copy.name).trim() === '') {
+                warnings.push(t('unnamedNode', { where: formatPath(path, `[${path.index}]`) }));
+                copy.name = '(unnamed)';
+            }
+            const nodePath = [...path, copy.name];
+            const where = formatPath(path, copy.name);
+
+            if (copy.value != null) {
+                if (typeof copy.value !== 'number' || !isFinite(copy.value)) {
+                    warnings.push(t('valueNotNumber', { where, value: copy.value }));
+                    delete copy.value;
+                } else if (copy.value < 0) {
+                    warnings.push(t('negativeValue', { where, value: format(copy.value) }));
+                    delete copy.value;
                 }
-                return currentTransform;
-            });
+            }
 
-        node.selectAll('.count-link')
-            .transition().duration(200)
-            .attr('opacity', enter ? 0.8 : 0.4)
-            .attr('stroke-width', enter ? 2 : 1.5);
+            if (copy.children != null && !Array.isArray(copy.children)) {
+                warnings.push(t('childrenNotList', { where }));
+                delete copy.children;
+            }
 
-        if (enter) {
-            // Get tree path (ancestors + current + descendants)
-            const treePath = getTreePath(data.id);
+            if (copy.children) {
+                const children = copy.children.map((child, index) => {
+                    const childPath = nodePath.slice();
+                    childPath.index = index;
+                    return clean(child || {}, childPath);
+                });
+                copy.children = handleDuplicates(children, nodePath);
+                checkDeclaredValue(copy, where);
+            }
 
-            // Get zoom transform to adjust tooltip position
-            const transform = d3.zoomTransform(svg.node());
-            const [x, y] = transform.apply([data.x, data.y]);
-            const screenPos = svg.node().getBoundingClientRect();
+            return copy;
+        }
 
-            tooltip
-                .html(`<div style="font-weight:600;font-size:16px;color:#6c5ce7;margin-bottom:4px">${data.name}</div>
-                       ${data.value ? `<div style="font-size:14px;color:#666">Count: ${formatNumber(data.value)}</div>` : ''}`)
-                .classed('show', true)
-                .style('left', (event.pageX + 15) + 'px')
-                .style('top', (event.pageY - 15) + 'px');
+        function handleDuplicates(children, path) {
+            const groups = d3.group(children, d => d.name);
+            if (groups.size === children.length) return children;
 
-            // Highlight tree path nodes
-            g.selectAll('.node')
-                .transition().duration(200)
-                .style('opacity', d => treePath.all.includes(d.id) ? 1 : 0.2)
-                .select('.node-circle')
-                .style('filter', d => {
-                    if (d.id === data.id) {
-                        return 'drop-shadow(0 0 20px rgba(108,92,231,0.8))';
-                    } else if (treePath.all.includes(d.id)) {
-                        return 'drop-shadow(0 0 12px rgba(108,92,231,0.6))';
-                    }
-                    return d.depth === 0 ? 'drop-shadow(0 0 15px rgba(255,107,157,0.6))' :
-                        'drop-shadow(0 0 8px rgba(108,92,231,0.4))';
-                });
+            const result = [];
+            groups.forEach((group, name) => {
+                if (group.length === 1) {
+                    result.push(group[0]);
+                    return;
+                }
+                const params = { where: formatPath(path, name), count: group.length };
+                if (policy === 'reject') {
+                    errors.push(t('duplicateSiblings', params));
+                    result.push(...group);
+                } else if (policy === 'keep') {
+                    warnings.push(t('duplicatesKept', params));
+                    result.push(...group);
+                } else {
+                    const merged = mergeSiblings(group, [...path, name]);
+                    warnings.push(t('duplicatesMerged', { ...params, value: format(sumTree(merged)) }));
+                    result.push(merged);
+                }
+            });
+            return result;
+        }
 
-            // Highlight tree path links
-            g.selectAll('.link')
-                .transition().duration(200)
-                .style('opacity', l => {
-                    const sourceId = l.source.id || l.source;
-                    const targetId = l.target.id || l.target;
-                    const sourceInPath = treePath.all.includes(sourceId);
-                    const targetInPath = treePath.all.includes(targetId);
-                    return (sourceInPath && targetInPath) ? 0.9 : 0.1;
-                })
-                .attr('stroke-width', l => {
-                    const sourceId = l.source.id || l.source;
-                    const targetId = l.target.id || l.target;
-                    const sourceInPath = treePath.all.includes(sourceId);
-                    const targetInPath = treePath.all.includes(targetId);
-                    return (sourceInPath && targetInPath) ? 3 : 1.5;
-                });
-        } else {
-            tooltip.classed('show', false);
+        function mergeSiblings(group, path) {
+            const merged = Object.assign({}, ...group);
+            const children = group.flatMap(node => node.children || []);
+            const values = group.filter(node => node.value != null);
+
+            delete merged.value;
+            delete merged.children;
+            if (values.length) merged.value = d3.sum(values, node => node.value);
+            if (children.length) merged.children = handleDuplicates(children, path);
+            const declared = group.filter(node => node.declaredValue != null);
+            if (declared.length) merged.declaredValue = d3.sum(declared, node => node.declaredValue);
+            return merged;
+        }
 
-            // Reset all nodes
-            g.selectAll('.node')
-                .transition().duration(200)
-                .style('opacity', 1)
-                .select('.node-circle')
-                .style('filter', d => d.depth === 0 ?
-                    'drop-shadow(0 0 15px rgba(255,107,157,0.6))' :
-                    'drop-shadow(0 0 8px rgba(108,92,231,0.4))');
+        // d3's .sum() adds a parent's own value to its children's, so a declared
+        // total on a parent is moved aside (and checked) instead of being summed
+        function checkDeclaredValue(node, where) {
+            if (node.value == null) return;
+            const childSum = d3.sum(node.children, sumTree);
+            if (Math.abs(childSum - node.value) > 1e-9) {
+                warnings.push(t('declaredValue', { where, value: format(node.value), sum: format(childSum) }));
+            }
+            node.declaredValue = node.value;
+            delete node.value;
+        }
 
-            // Reset all links
-            g.selectAll('.link')
-                .transition().duration(200)
-                .style('opacity', 0.3)
-                .attr('stroke-width', d => d.type === 'primary' ? 2.5 : 1.5);
+        const rootPath = [];
+        rootPath.index = 0;
+        return { tree: clean(tree, rootPath), warnings, errors };
+    }
+
+    // Copy of a tree for rendering without validateTree(): ids are written into the copy, not
+    // the caller's objects, and a parent's own value is moved aside so the children's sum is used
+    function copyTree(node) {
+        const copy = Object.assign({}, node);
+        if (Array.isArray(node.children) && node.children.length) {
+            copy.children = node.children.map(child => copyTree(child || {}));
+            if (copy.value != null) {
+                copy.declaredValue = copy.value;
+                delete copy.value;
+            }
         }
+        return copy;
     }
 
-    function animateEntrance() {
-        g.selectAll('.node-circle')
-            .style('opacity', 0)
-            .transition().duration(600).style('opacity', 1);
+    function sumTree(node) {
+        if (node.children && node.children.length) return d3.sum(node.children, sumTree);
+        return node.value || 0;
+    }
 
-        g.selectAll('.node-text')
-            .style('opacity', 0)
-            .transition().duration(500).delay(100).style('opacity', 1);
+    // Short, stable hash of a string (FNV-1a, in base 36)
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
 
-        // Count bubbles and links are animated in redrawCountBubbles()
+    function formatPath(path, name) {
+        return [...path, name].join(' › ');
     }
 
-    function formatNumber(num) {
-        if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-        if (num >= 1000) return (num / 1000).toFixed(0) + 'k';
-        return num.toString();
+    // Fill a message's {placeholders} from `params`, leaving unknown ones as they are
+    function fillMessage(message, params) {
+        if (typeof message !== 'string') return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] != null ? params[name] : match);
     }
 
-    // Double-click to reset zoom
-    svg.on('dblclick.zoom', function (event) {
-        event.preventDefault();
-        const resetTransform = d3.zoomIdentity
-            .translate(config.width / 2, config.height / 2)
-            .scale(1);
-        svg.transition()
-            .duration(750)
-            .call(zoom.transform, resetTransform);
-    });
-
-    // Prevent text selection during drag
-    svg.style('-webkit-user-select', 'none')
-        .style('-moz-user-select', 'none')
-        .style('-ms-user-select', 'none')
-        .style('user-select', 'none');
-
-    // Responsive
-    window.addEventListener('resize', () => {
-        const oldWidth = config.width;
-        const oldHeight = config.height;
-        config.width = window.innerWidth;
-        config.height = window.innerHeight;
-        svg.attr('width', config.width).attr('height', config.height);
-
-        // Adjust zoom transform to maintain view
-        const currentTransform = d3.zoomTransform(svg.node());
-        const newTransform = currentTransform
-            .translate(
-                (config.width - oldWidth) / 2,
-                (config.height - oldHeight) / 2
-            );
-        svg.call(zoom.transform, newTransform);
-    });
+    createRadialNetwork.indexNodes = indexNodes;
+    createRadialNetwork.computeVisibility = computeVisibility;
+    createRadialNetwork.matchLeaves = matchLeaves;
+    createRadialNetwork.radialLayout = radialLayout;
+    createRadialNetwork.escapeHtml = escapeHtml;
+    createRadialNetwork.validateTree = validateTree;
+    createRadialNetwork.loadData = loadData;
+    createRadialNetwork.buildHierarchy = buildHierarchy;
+    createRadialNetwork.themes = themes;
+    createRadialNetwork.messages = messages;
+
+    window.createRadialNetwork = createRadialNetwork;
 })();